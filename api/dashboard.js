@@ -0,0 +1,105 @@
+/**
+ * api/dashboard.js — página HTML do dashboard (renderizada no servidor, sem JavaScript)
+ *
+ * Textos vêm do catálogo em i18n/, no idioma da guild (/config language).
+ */
+
+const { t } = require('../i18n');
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTime(ms) {
+  return ms ? `${new Date(Number(ms)).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '-';
+}
+
+/** <table> with escaped cells; `rows` are arrays of plain values */
+function table(headers, rows, emptyText) {
+  if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(cells => `<tr>${cells.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Whole page of one guild. `summary`, `leaderboard`, `pending` and `failures` are the JSON bodies
+ * of the API routes; `userName(id)` gives a cached user tag (or null) to show next to ids.
+ */
+function renderDashboard({ lang, guildName, userName, summary, leaderboard, pending, failures }) {
+  const user = id => {
+    const name = userName(id);
+    return name ? `${name} (${id})` : id;
+  };
+  const byStatus = summary.totals.by_status;
+  const cards = [
+    [t(lang, 'dashboard.totals.joins'), summary.totals.joins],
+    [t(lang, 'dashboard.totals.paid'), summary.totals.paid_count],
+    [t(lang, 'dashboard.totals.pending'), summary.pending_payments],
+    [t(lang, 'dashboard.totals.rejected'), byStatus.rejected || 0],
+    [t(lang, 'dashboard.totals.failed'), byStatus.failed || 0],
+    [t(lang, 'dashboard.totals.unattributed'), byStatus.unattributed || 0],
+    [t(lang, 'dashboard.totals.paidAmount'), summary.totals.paid_amount],
+    [t(lang, 'dashboard.totals.milestoneBonuses'), summary.totals.milestone_bonus_amount],
+    [t(lang, 'dashboard.totals.paidLastWeek'), summary.paid_last_7_days]
+  ];
+
+  const sections = [
+    [t(lang, 'dashboard.leaderboard'), table(
+      [t(lang, 'dashboard.columns.rank'), t(lang, 'dashboard.columns.inviter'), t(lang, 'dashboard.columns.validJoins'), t(lang, 'dashboard.columns.coins')],
+      leaderboard.map(r => [r.rank, user(r.inviter_id), r.valid_joins, r.paid_amount]),
+      t(lang, 'dashboard.empty')
+    )],
+    [t(lang, 'dashboard.pending'), table(
+      [t(lang, 'dashboard.columns.member'), t(lang, 'dashboard.columns.inviter'), t(lang, 'dashboard.columns.status'), t(lang, 'dashboard.columns.eligible'), t(lang, 'dashboard.columns.attempts'), t(lang, 'dashboard.columns.error')],
+      pending.map(r => [user(r.joined_id), user(r.inviter_id), r.status, formatTime(r.eligible_at), r.attempts || 0, r.last_error || '']),
+      t(lang, 'dashboard.empty')
+    )],
+    [t(lang, 'dashboard.failures'), table(
+      [t(lang, 'dashboard.columns.member'), t(lang, 'dashboard.columns.inviter'), t(lang, 'dashboard.columns.joined'), t(lang, 'dashboard.columns.attempts'), t(lang, 'dashboard.columns.error')],
+      failures.rewards.map(r => [user(r.joined_id), user(r.inviter_id), formatTime(r.joined_at), r.attempts || 0, r.last_error || '']),
+      t(lang, 'dashboard.empty')
+    )],
+    [t(lang, 'dashboard.failedBonuses'), table(
+      [t(lang, 'dashboard.columns.inviter'), t(lang, 'dashboard.columns.threshold'), t(lang, 'dashboard.columns.amount'), t(lang, 'dashboard.columns.attempts'), t(lang, 'dashboard.columns.error')],
+      failures.milestone_bonuses.map(r => [user(r.inviter_id), r.threshold, r.amount || '-', r.attempts || 0, r.last_error || '']),
+      t(lang, 'dashboard.empty')
+    )]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>${escapeHtml(t(lang, 'dashboard.title', { guild: guildName }))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; background: #fafafa; }
+  .cards { display: flex; flex-wrap: wrap; gap: .75rem; }
+  .card { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: .75rem 1rem; min-width: 9rem; }
+  .card b { display: block; font-size: 1.4rem; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { border: 1px solid #ddd; padding: .35rem .5rem; text-align: left; font-size: .9rem; }
+  th { background: #f0f0f0; }
+  .empty, footer { color: #777; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t(lang, 'dashboard.title', { guild: guildName }))}</h1>
+<div class="cards">
+${cards.map(([label, value]) => `<div class="card">${escapeHtml(label)}<b>${escapeHtml(value)}</b></div>`).join('\n')}
+</div>
+${sections.map(([title, html]) => `<h2>${escapeHtml(title)}</h2>\n${html}`).join('\n')}
+<footer><p>${escapeHtml(t(lang, 'dashboard.generatedAt', { time: formatTime(Date.now()) }))}</p></footer>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDashboard, escapeHtml };
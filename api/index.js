@@ -0,0 +1,241 @@
+/**
+ * api/index.js — API HTTP somente leitura e dashboard, opcional (API_PORT no .env)
+ *
+ * Cada guild tem o próprio token (/api-token create), enviado como "Authorization: Bearer <token>"
+ * ou ?token=<token> (dashboard no navegador). Um token só dá acesso à guild dele; o banco guarda
+ * apenas o hash.
+ *
+ * Rotas (GET):
+ *   /api/guilds/:guildId/summary            totais por status, valores pagos e fila de pagamentos
+ *   /api/guilds/:guildId/leaderboard        ?from=YYYY-MM-DD&to=YYYY-MM-DD&sort=joins|coins&limit=
+ *   /api/guilds/:guildId/inviters/:userId   invites, joins e total ganho de um inviter
+ *   /api/guilds/:guildId/pending            fila de pagamentos (pending / processing), mais antigos primeiro
+ *   /api/guilds/:guildId/failures           rewards e bônus de milestone cujo pagamento falhou
+ *   /dashboard/:guildId                     página HTML com o resumo das rotas acima
+ *
+ * Sem token (não expõem dados de guilds):
+ *   /health                                 gateway do Discord, banco e último periodicCheck ok (200) ou não (503)
+ *   /metrics                                contadores no formato de texto do Prometheus
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { renderDashboard } = require('./dashboard');
+const log = require('../monitoring/logger');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Stored form of an API token (only the hash is kept) */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/** New random API token */
+function generateApiToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/** Error answered as { error: code } with the given HTTP status */
+class ApiError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function parseLimit(url) {
+  const value = url.searchParams.get('limit');
+  if (value == null) return DEFAULT_LIMIT;
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) throw new ApiError(400, 'invalid_limit');
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/** decodeURIComponent that answers 400 instead of throwing on a malformed escape */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw new ApiError(400, 'invalid_path');
+  }
+}
+
+/**
+ * @param {object} deps
+ * @param {function} deps.getApiTokenHash  (guildId) -> stored hash or null
+ * @param {function} deps.getGuildName     (guildId) -> guild name, or null when the bot is not in it
+ * @param {function} deps.getUserName      (userId) -> cached user tag, or null
+ * @param {function} deps.parseDateUTC     'YYYY-MM-DD' -> ms, or null
+ * @param {function} deps.getHealth        () -> { status: 'ok' | 'degraded', ... }
+ * @param {function} deps.renderMetrics    () -> Prometheus exposition text
+ * and the read-only DB helpers of bot.js used below
+ * @returns {http.Server} not listening yet
+ */
+function createApiServer(deps) {
+  const {
+    getApiTokenHash, getGuildName, getUserName, getHealth, renderMetrics, parseDateUTC, truncateDecimals, getGuildSettings, getGuildTotals, countPendingPayments,
+    getPaidAmountSince, getLeaderboard, getInviterStats, getMembersByInviter, getInviterTotalEarned, getPendingQueue, getPaymentFailures
+  } = deps;
+
+  async function isAuthorized(req, url, guildId) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token');
+    if (!token) return false;
+    const stored = await getApiTokenHash(guildId);
+    if (!stored) return false;
+    const given = Buffer.from(hashApiToken(token), 'hex');
+    const expected = Buffer.from(stored, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async function summary(guildId) {
+    const settings = await getGuildSettings(guildId);
+    const totals = await getGuildTotals(guildId, settings.worth);
+    return {
+      guild_id: guildId,
+      name: getGuildName(guildId),
+      enabled: settings.enabled,
+      worth: truncateDecimals(Number(settings.worth), 8),
+      provider: settings.paymentProvider,
+      totals: {
+        joins: totals.joins,
+        by_status: totals.byStatus,
+        paid_count: totals.paidCount,
+        paid_amount: totals.paidAmount,
+        milestone_bonus_count: totals.milestoneBonusCount,
+        milestone_bonus_amount: totals.milestoneBonusAmount
+      },
+      pending_payments: await countPendingPayments(guildId),
+      paid_last_7_days: truncateDecimals(await getPaidAmountSince(guildId, Date.now() - 7 * DAY_MS, settings.worth), 8)
+    };
+  }
+
+  async function leaderboard(guildId, url) {
+    const fromStr = url.searchParams.get('from');
+    const toStr = url.searchParams.get('to');
+    const from = fromStr ? parseDateUTC(fromStr) : null;
+    const to = toStr ? parseDateUTC(toStr) : null;
+    if ((fromStr && from == null) || (toStr && to == null)) throw new ApiError(400, 'invalid_dates');
+    const sort = url.searchParams.get('sort') === 'coins' ? 'coins' : 'joins';
+    const settings = await getGuildSettings(guildId);
+    // 'to' is inclusive, like /leaderboard and /export
+    const rows = await getLeaderboard(guildId, { from, to: to != null ? to + DAY_MS : null, sort, defaultWorth: settings.worth });
+    return {
+      guild_id: guildId,
+      sort,
+      from: fromStr || null,
+      to: toStr || null,
+      inviters: rows.slice(0, parseLimit(url)).map((r, i) => ({
+        rank: i + 1,
+        inviter_id: r.inviter_id,
+        valid_joins: Number(r.valid_joins || 0),
+        paid_count: Number(r.paid_count || 0),
+        paid_amount: truncateDecimals(Number(r.paid_amount || 0), 8)
+      }))
+    };
+  }
+
+  async function inviter(guildId, url, userId) {
+    const settings = await getGuildSettings(guildId);
+    const invites = await getInviterStats(guildId, userId, settings.worth);
+    const joins = await getMembersByInviter(guildId, userId);
+    return {
+      guild_id: guildId,
+      inviter_id: userId,
+      total_earned: await getInviterTotalEarned(guildId, userId, settings.worth),
+      invites: invites.map(r => ({
+        invite_code: r.invite_code,
+        joined_count: Number(r.joined_count || 0),
+        paid_count: Number(r.paid_count || 0),
+        rejected_count: Number(r.rejected_count || 0),
+        paid_amount: truncateDecimals(Number(r.paid_amount || 0), 8)
+      })),
+      joins: joins.slice(0, parseLimit(url))
+    };
+  }
+
+  async function pending(guildId, url) {
+    const settings = await getGuildSettings(guildId);
+    const rows = await getPendingQueue(guildId, parseLimit(url));
+    return {
+      guild_id: guildId,
+      payments: rows.map(r => ({ ...r, eligible_at: Number(r.joined_at) + settings.minStayMs }))
+    };
+  }
+
+  async function failures(guildId, url) {
+    const { rewards, bonuses } = await getPaymentFailures(guildId, parseLimit(url));
+    return { guild_id: guildId, rewards, milestone_bonuses: bonuses };
+  }
+
+  async function dashboard(guildId) {
+    const settings = await getGuildSettings(guildId);
+    return renderDashboard({
+      lang: settings.language,
+      guildName: getGuildName(guildId) || guildId,
+      userName: getUserName,
+      summary: await summary(guildId),
+      leaderboard: (await leaderboard(guildId, new URL('http://localhost/?limit=10'))).inviters,
+      pending: (await pending(guildId, new URL('http://localhost/?limit=20'))).payments,
+      failures: await failures(guildId, new URL('http://localhost/?limit=20'))
+    });
+  }
+
+  // [pattern, handler, html]: the first capture group is always the guild id
+  const routes = [
+    [/^\/api\/guilds\/([^/]+)\/summary$/, summary],
+    [/^\/api\/guilds\/([^/]+)\/leaderboard$/, leaderboard],
+    [/^\/api\/guilds\/([^/]+)\/inviters\/([^/]+)$/, inviter],
+    [/^\/api\/guilds\/([^/]+)\/pending$/, pending],
+    [/^\/api\/guilds\/([^/]+)\/failures$/, failures],
+    [/^\/dashboard\/([^/]+)\/?$/, dashboard, true]
+  ];
+
+  function send(res, status, body, html = false) {
+    res.writeHead(status, html
+      ? {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store',
+          // the token may be in the URL: never leak it through links
+          'Referrer-Policy': 'no-referrer',
+          'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'"
+        }
+      : { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(html ? body : JSON.stringify(body));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') return send(res, 405, { error: 'method_not_allowed' });
+    if (url.pathname === '/health') {
+      const health = await getHealth();
+      return send(res, health.status === 'ok' ? 200 : 503, health);
+    }
+    if (url.pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+      return res.end(await renderMetrics());
+    }
+    for (const [pattern, handler, html] of routes) {
+      const match = pattern.exec(url.pathname);
+      if (!match) continue;
+      const [, guildId, ...params] = match.map(decodePathParam);
+      // same answer for unknown guilds and wrong tokens
+      if (!(await isAuthorized(req, url, guildId))) return send(res, 401, { error: 'unauthorized' });
+      return send(res, 200, await handler(guildId, url, ...params), html);
+    }
+    return send(res, 404, { error: 'not_found' });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(e => {
+      if (e instanceof ApiError) return send(res, e.status, { error: e.code });
+      log.warn('api', 'request failed', { method: req.method, path: req.url.split('?')[0], error: e });
+      if (!res.headersSent) send(res, 500, { error: 'internal_error' });
+    });
+  });
+}
+
+module.exports = { createApiServer, hashApiToken, generateApiToken };
@@ -0,0 +1,2663 @@
+/**
+ * bot.js — núcleo do bot: banco, detecção de invites, elegibilidade, pagamentos, comandos e API
+ *
+ * createBot({ client, config }) registra os eventos no client do Discord (ou num fake com a mesma
+ * forma, nos testes) e devolve as operações do bot. Nada roda antes de start(), que abre o banco,
+ * sobe a API e faz login; os testes chamam só initDb() e acionam os handlers direto.
+ */
+
+const { EmbedBuilder, PermissionsBitField, SnowflakeUtil } = require('discord.js');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { PAYMENT_PROVIDERS, createPaymentProviders } = require('./payments');
+const { LANGUAGES, t, format, resolveLanguage, localizations } = require('./i18n');
+const { CLAWBACK_MODES } = require('./config');
+const { loadCommands, toCommandPayload, canRun } = require('./commands');
+const { createApiServer, hashApiToken, generateApiToken } = require('./api');
+const log = require('./monitoring/logger');
+const { createMetricsRegistry } = require('./monitoring/metrics');
+const path = require('path');
+
+const PAYMENT_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// window used to estimate the daily payout rate for /balance runway
+const RUNWAY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+// a row left in 'processing' this long (crash / failed DB write after the transfer) is retried with the same key
+const PAYMENT_PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * @param {object} deps
+ * @param {Client} deps.client  discord.js client; the handlers below are registered on its events
+ * @param {object} deps.config  settings from loadConfig (config.js)
+ */
+function createBot({ client, config }) {
+  const {
+    DISCORD_TOKEN, API_BASE, RECEIVER_CARD, WORTH, DB_PATH, CHECK_INTERVAL_MS, MIN_STAY_MS, PAYMENT_MAX_ATTEMPTS,
+    PAYMENT_RETRY_BASE_MS, PAYOUT_CONCURRENCY, MIN_ACCOUNT_AGE_MS, DAILY_REWARD_CAP, CLAWBACK_WINDOW_MS,
+    CLAWBACK_MODE, CLAWBACK_REVERSE_PATH, HOUSE_ACCOUNT_ID, PAYMENT_PROVIDER, LOW_BALANCE_THRESHOLD,
+    LOW_BALANCE_ALERT_INTERVAL_MS, DEFAULT_LANGUAGE, DEV_GUILD_ID, API_PORT, API_HOST
+  } = config;
+
+  // invites cache: Map<guildId, Map<inviteCode, uses>> (persisted in invite_uses / invite_sync_state)
+  const invitesCache = new Map();
+  // vanity URL uses: Map<guildId, uses> (only guilds with a vanity URL)
+  const vanityCache = new Map();
+  // DB handle
+  let db;
+  // payment providers by name (see payments/index.js)
+  const paymentProviders = createPaymentProviders({ apiBase: API_BASE, reversePath: CLAWBACK_REVERSE_PATH, getDb: () => db });
+
+  // last low-balance warning per guild: Map<guildId, timestamp> (cleared when funds recover)
+  const lowBalanceAlerts = new Map();
+
+  // For display: timestamp of last periodic run (used to estimate the next payout pass)
+  let lastPeriodicRun = 0;
+  // Guards against overlapping runs when a pass takes longer than CHECK_INTERVAL_MS
+  let periodicRunning = false;
+  // end of the last pass that did not fail (health check)
+  let lastPeriodicSuccess = 0;
+  let periodicTimer = null;
+  // set by shutdown: no new payout batch starts, the pass in progress finishes
+  let shuttingDown = false;
+  const startedAt = Date.now();
+  // HTTP API server (startApiServer), closed on shutdown
+  let apiServer = null;
+
+  /** Metrics (GET /metrics on the HTTP API) */
+  const metricsRegistry = createMetricsRegistry();
+  const metrics = {
+    joinsRecorded: metricsRegistry.counter('invitereward_joins_recorded_total', 'Joins recorded with an inviter, by result (accepted or rejected by the anti-abuse rules)'),
+    joinsUnattributed: metricsRegistry.counter('invitereward_joins_unattributed_total', 'Joins recorded without an inviter, by source'),
+    payouts: metricsRegistry.counter('invitereward_payouts_total', 'Payout transfers by kind (reward batch or milestone bonus) and result'),
+    paidAmount: metricsRegistry.counter('invitereward_paid_amount_total', 'Coins paid by kind (reward batch or milestone bonus)'),
+    schedulerRuns: metricsRegistry.summary('invitereward_scheduler_run_duration_seconds', 'Duration of the periodic payout checks'),
+    schedulerErrors: metricsRegistry.counter('invitereward_scheduler_errors_total', 'Periodic checks that failed'),
+    schedulerLastSuccess: metricsRegistry.gauge('invitereward_scheduler_last_success_timestamp_seconds', 'End of the last periodic check that did not fail',
+      () => (lastPeriodicSuccess ? lastPeriodicSuccess / 1000 : null)),
+    gatewayUp: metricsRegistry.gauge('invitereward_discord_gateway_up', '1 when the Discord gateway connection is ready', () => (client.isReady() ? 1 : 0))
+  };
+
+  /** DB init */
+  async function initDb() {
+    db = guardTransactions(await open({
+      // ':memory:' (tests) is not a path
+      filename: DB_PATH === ':memory:' ? DB_PATH : path.resolve(DB_PATH),
+      driver: sqlite3.Database
+    }));
+
+    await db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA synchronous = NORMAL;
+    `);
+
+    await runMigrations();
+  }
+
+  /**
+   * Schema migrations. The applied version is kept in PRAGMA user_version; each pending
+   * migration runs once, inside a transaction, in order. Never edit a released migration:
+   * append a new one.
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      name: 'initial schema',
+      up: async () => {
+        // invite rewards
+        await db.exec(`
+          CREATE TABLE IF NOT EXISTS invite_rewards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            invite_code TEXT,
+            inviter_id TEXT NOT NULL,
+            joined_id TEXT NOT NULL UNIQUE,
+            joined_at INTEGER NOT NULL,
+            paid INTEGER DEFAULT 0,
+            paid_at INTEGER,
+            payment_tx TEXT
+          );
+        `);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_invite_unpaid_guild ON invite_rewards(guild_id, paid);`);
+
+        // guild config (log channel)
+        await db.exec(`
+          CREATE TABLE IF NOT EXISTS guild_config (
+            guild_id TEXT PRIMARY KEY,
+            log_channel_id TEXT
+          );
+        `);
+      }
+    },
+    {
+      version: 2,
+      name: 'guild settings, payment state, anti-abuse and clawback',
+      up: async () => {
+        // ensureColumn: databases from builds before the migration system may already have some of these
+        await ensureColumn('invite_rewards', 'amount', 'TEXT');
+        if (await ensureColumn('invite_rewards', 'status', `TEXT NOT NULL DEFAULT 'pending'`)) {
+          await db.run(`UPDATE invite_rewards SET status = CASE WHEN paid = 1 THEN 'paid' ELSE 'pending' END`);
+        }
+        await ensureColumn('invite_rewards', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+        await ensureColumn('invite_rewards', 'last_error', 'TEXT');
+        await ensureColumn('invite_rewards', 'next_attempt_at', 'INTEGER');
+        await ensureColumn('invite_rewards', 'processing_at', 'INTEGER');
+        await ensureColumn('invite_rewards', 'idempotency_key', 'TEXT');
+        await ensureColumn('invite_rewards', 'reject_reason', 'TEXT');
+        await ensureColumn('invite_rewards', 'left_at', 'INTEGER');
+        await ensureColumn('invite_rewards', 'clawback_tx', 'TEXT');
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_invite_status ON invite_rewards(status, next_attempt_at);`);
+
+        // guild reward settings (NULL means "use the .env default")
+        await ensureColumn('guild_config', 'worth', 'TEXT');
+        await ensureColumn('guild_config', 'receiver_card', 'TEXT');
+        await ensureColumn('guild_config', 'min_stay_ms', 'INTEGER');
+        await ensureColumn('guild_config', 'enabled', 'INTEGER');
+        await ensureColumn('guild_config', 'min_account_age_ms', 'INTEGER');
+        await ensureColumn('guild_config', 'daily_cap', 'INTEGER');
+        await ensureColumn('guild_config', 'allow_rejoins', 'INTEGER');
+        await ensureColumn('guild_config', 'clawback_window_ms', 'INTEGER');
+        await ensureColumn('guild_config', 'clawback_mode', 'TEXT');
+
+        // clawed-back amounts still owed by an inviter, discounted from their next rewards (debit mode)
+        await db.exec(`
+          CREATE TABLE IF NOT EXISTS inviter_debts (
+            guild_id TEXT NOT NULL,
+            inviter_id TEXT NOT NULL,
+            amount TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, inviter_id)
+          );
+        `);
+
+        // every join ever seen per guild (kept even when the reward row is deleted) -> rejoin detection
+        await db.exec(`
+          CREATE TABLE IF NOT EXISTS member_joins (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            first_joined_at INTEGER NOT NULL,
+            last_joined_at INTEGER NOT NULL,
+            join_count INTEGER NOT NULL DEFAULT 1,
+            PRIMARY KEY (guild_id, user_id)
+          );
+        `);
+      }
+    },
+    {
+      version: 3,
+      name: 'joined members unique per guild',
+      up: async () => {
+        // SQLite can't drop a column constraint: rebuild invite_rewards with UNIQUE(guild_id, joined_id)
+        await db.exec(`
+          CREATE TABLE invite_rewards_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            invite_code TEXT,
+            inviter_id TEXT NOT NULL,
+            joined_id TEXT NOT NULL,
+            joined_at INTEGER NOT NULL,
+            paid INTEGER DEFAULT 0,
+            paid_at INTEGER,
+            payment_tx TEXT,
+            amount TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at INTEGER,
+            processing_at INTEGER,
+            idempotency_key TEXT,
+            reject_reason TEXT,
+            left_at INTEGER,
+            clawback_tx TEXT,
+            UNIQUE (guild_id, joined_id)
+          );
+        `);
+        // columns as of this migration (later migrations add theirs after the rebuild)
+        const cols = [
+          'id', 'guild_id', 'invite_code', 'inviter_id', 'joined_id', 'joined_at', 'paid', 'paid_at', 'payment_tx',
+          'amount', 'status', 'attempts', 'last_error', 'next_attempt_at', 'processing_at', 'idempotency_key',
+          'reject_reason', 'left_at', 'clawback_tx'
+        ].join(', ');
+        await db.exec(`INSERT INTO invite_rewards_new (${cols}) SELECT ${cols} FROM invite_rewards;`);
+        await db.exec(`DROP TABLE invite_rewards;`);
+        await db.exec(`ALTER TABLE invite_rewards_new RENAME TO invite_rewards;`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_invite_unpaid_guild ON invite_rewards(guild_id, paid);`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_invite_status ON invite_rewards(status, next_attempt_at);`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_invite_inviter ON invite_rewards(guild_id, inviter_id);`);
+      }
+    },
+    {
+      version: 4,
+      name: 'milestone tiers and bonus ledger',
+      up: async () => {
+        // tiers defined by guild admins: bonus and/or role once an inviter reaches `threshold` paid invites
+        await db.exec(`
+          CREATE TABLE milestone_tiers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            threshold INTEGER NOT NULL,
+            bonus TEXT,
+            role_id TEXT,
+            created_at INTEGER NOT NULL,
+            UNIQUE (guild_id, threshold)
+          );
+        `);
+        // one row per (guild, inviter, threshold) ever reached: the UNIQUE key is what prevents double bonuses
+        await db.exec(`
+          CREATE TABLE milestone_bonuses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            inviter_id TEXT NOT NULL,
+            threshold INTEGER NOT NULL,
+            amount TEXT,
+            role_id TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            idempotency_key TEXT NOT NULL,
+            payment_tx TEXT,
+            created_at INTEGER NOT NULL,
+            paid_at INTEGER,
+            UNIQUE (guild_id, inviter_id, threshold)
+          );
+        `);
+      }
+    },
+    {
+      version: 5,
+      name: 'join source for vanity, discovery and unknown joins',
+      up: async () => {
+        // source: invite | vanity | discovery | unknown; joins without a known inviter are stored
+        // as status 'unattributed' until an admin attributes them (candidates = ambiguous invite codes)
+        await db.exec(`ALTER TABLE invite_rewards ADD COLUMN source TEXT NOT NULL DEFAULT 'invite';`);
+        await db.exec(`ALTER TABLE invite_rewards ADD COLUMN candidates TEXT;`);
+      }
+    },
+    {
+      version: 6,
+      name: 'invite code owners and house account',
+      up: async () => {
+        // owner_id is a user id, or 'house' for the guild's house account
+        await db.exec(`
+          CREATE TABLE invite_code_owners (
+            guild_id TEXT NOT NULL,
+            code TEXT NOT NULL,
+            owner_id TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, code)
+          );
+        `);
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN house_account_id TEXT;`);
+        // rows recorded for invites without inviter used to be paid to '(unknown)'
+        await db.exec(`UPDATE invite_rewards SET status = 'unattributed', next_attempt_at = NULL WHERE inviter_id = '(unknown)' AND status IN ('pending', 'failed')`);
+      }
+    },
+    {
+      version: 7,
+      name: 'payment providers',
+      up: async () => {
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN payment_provider TEXT;`);
+        // transfers of the local providers (ledger points, dry-run records); amount < 0 for reversals
+        await db.exec(`
+          CREATE TABLE local_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provider TEXT NOT NULL,
+            guild_id TEXT NOT NULL,
+            to_id TEXT NOT NULL,
+            amount TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            ref_tx TEXT,
+            idempotency_key TEXT,
+            created_at INTEGER NOT NULL,
+            UNIQUE (provider, idempotency_key)
+          );
+        `);
+        await db.exec(`CREATE INDEX idx_local_tx_account ON local_transactions(provider, guild_id, to_id);`);
+      }
+    },
+    {
+      version: 8,
+      name: 'low balance threshold',
+      up: async () => {
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN low_balance_threshold TEXT;`);
+      }
+    },
+    {
+      version: 9,
+      name: 'payout batches',
+      up: async () => {
+        // one aggregated transfer per (guild, inviter); every covered invite_rewards row points to it.
+        // amount is NULL until the batch's rows are linked (a batch without amount was never sent)
+        await db.exec(`
+          CREATE TABLE payout_batches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            inviter_id TEXT NOT NULL,
+            idempotency_key TEXT NOT NULL UNIQUE,
+            worth TEXT,
+            row_count INTEGER NOT NULL DEFAULT 0,
+            debt_offset TEXT NOT NULL DEFAULT '0',
+            amount TEXT,
+            status TEXT NOT NULL DEFAULT 'processing',
+            attempts INTEGER NOT NULL DEFAULT 1,
+            last_error TEXT,
+            next_attempt_at INTEGER,
+            processing_at INTEGER,
+            payment_tx TEXT,
+            created_at INTEGER NOT NULL,
+            paid_at INTEGER
+          );
+        `);
+        await db.exec(`CREATE INDEX idx_payout_batches_status ON payout_batches(status, next_attempt_at);`);
+        await db.exec(`ALTER TABLE invite_rewards ADD COLUMN batch_id INTEGER;`);
+        await db.exec(`CREATE INDEX idx_invite_rewards_batch ON invite_rewards(batch_id);`);
+      }
+    },
+    {
+      version: 10,
+      name: 'persistent invite cache',
+      up: async () => {
+        // last known use count of every invite, so joins made while the bot was offline can be detected
+        await db.exec(`
+          CREATE TABLE invite_uses (
+            guild_id TEXT NOT NULL,
+            code TEXT NOT NULL,
+            uses INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (guild_id, code)
+          );
+        `);
+        // synced_at: last moment the bot was known to be watching the guild (heartbeat of the scheduler)
+        await db.exec(`
+          CREATE TABLE invite_sync_state (
+            guild_id TEXT PRIMARY KEY,
+            vanity_uses INTEGER,
+            synced_at INTEGER NOT NULL
+          );
+        `);
+      }
+    },
+    {
+      version: 11,
+      name: 'admin moderation',
+      up: async () => {
+        // users who can neither earn rewards (as inviter) nor generate them (as invited member)
+        await db.exec(`
+          CREATE TABLE reward_blacklist (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            reason TEXT,
+            created_by TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, user_id)
+          );
+        `);
+        // every change made with /invite-admin
+        await db.exec(`
+          CREATE TABLE admin_audit (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            actor_id TEXT NOT NULL,
+            action TEXT NOT NULL,
+            target_id TEXT,
+            reason TEXT,
+            details TEXT,
+            created_at INTEGER NOT NULL
+          );
+        `);
+        await db.exec(`CREATE INDEX idx_admin_audit_guild ON admin_audit(guild_id, created_at);`);
+      }
+    },
+    {
+      version: 12,
+      name: 'guild language',
+      up: async () => {
+        // language of the log channel and of users whose Discord locale is not supported (NULL = DEFAULT_LANGUAGE)
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN language TEXT;`);
+      }
+    },
+    {
+      version: 13,
+      name: 'notifications',
+      up: async () => {
+        // public announcements channel (separate from the admin log) and its message templates (NULL = catalog default)
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN announce_channel_id TEXT;`);
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN announce_join_template TEXT;`);
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN announce_paid_template TEXT;`);
+        // inviters who opted in to DMs with /notifications (language = their Discord locale at the time)
+        await db.exec(`
+          CREATE TABLE notification_prefs (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            dm_enabled INTEGER NOT NULL DEFAULT 0,
+            language TEXT,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, user_id)
+          );
+        `);
+      }
+    },
+    {
+      version: 14,
+      name: 'http api tokens',
+      up: async () => {
+        // sha256 of the guild's HTTP API token (/api-token), the token itself is never stored
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN api_token_hash TEXT;`);
+        await db.exec(`ALTER TABLE guild_config ADD COLUMN api_token_created_at INTEGER;`);
+      }
+    },
+    {
+      version: 15,
+      name: 'milestone bonus retries',
+      up: async () => {
+        // bonuses are retried by the scheduler with backoff (next_attempt_at) and recovered when a
+        // crash leaves them in 'processing' (processing_at), like payout batches
+        await db.exec(`ALTER TABLE milestone_bonuses ADD COLUMN processing_at INTEGER;`);
+        await db.exec(`ALTER TABLE milestone_bonuses ADD COLUMN next_attempt_at INTEGER;`);
+      }
+    }
+  ];
+
+  /** Apply pending MIGRATIONS, upgrading an existing database in place */
+  async function runMigrations() {
+    const row = await db.get(`PRAGMA user_version`);
+    const current = row ? Number(row.user_version) : 0;
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= current) continue;
+      log.info('db', 'applying migration', { version: migration.version, name: migration.name });
+      await db.exec('BEGIN');
+      try {
+        await migration.up();
+        await db.exec(`PRAGMA user_version = ${migration.version}`);
+        await db.exec('COMMIT');
+      } catch (e) {
+        await db.exec('ROLLBACK');
+        throw new Error(`migration ${migration.version} (${migration.name}) failed: ${e && e.message ? e.message : e}`);
+      }
+    }
+  }
+
+  // withTransaction state: the queue of transactions, the one open right now (settles at
+  // COMMIT / ROLLBACK) and the async scope of its `fn`
+  let transactionQueue = Promise.resolve();
+  let openTransaction = null;
+  const transactionScope = new AsyncLocalStorage();
+
+  /**
+   * The connection is shared by every event, command and API request: while a transaction is
+   * open, statements that don't come from its `fn` wait for it to end instead of landing inside it
+   * (and being undone by its ROLLBACK).
+   */
+  function guardTransactions(handle) {
+    const guarded = Object.create(handle);
+    for (const method of ['run', 'get', 'all', 'exec']) {
+      guarded[method] = async (...args) => {
+        while (openTransaction && !transactionScope.getStore()) await openTransaction;
+        return handle[method](...args);
+      };
+    }
+    return guarded;
+  }
+
+  /**
+   * Run `fn` between BEGIN IMMEDIATE and COMMIT (ROLLBACK when it throws). Transactions are queued
+   * one after another and hold every other statement back while open: keep `fn` to a few quick
+   * statements, and never wait inside it for work that reads or writes the DB.
+   */
+  function withTransaction(fn) {
+    const run = transactionQueue.then(() => {
+      let end;
+      openTransaction = new Promise(resolve => { end = resolve; });
+      return transactionScope.run(true, async () => {
+        try {
+          await db.exec('BEGIN IMMEDIATE');
+          try {
+            const result = await fn();
+            await db.exec('COMMIT');
+            return result;
+          } catch (e) {
+            await db.exec('ROLLBACK');
+            throw e;
+          }
+        } finally {
+          openTransaction = null;
+          end();
+        }
+      });
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /** Adds a column to a table created by an older version of the bot; true when it was added */
+  async function ensureColumn(table, column, definition) {
+    const cols = await db.all(`PRAGMA table_info(${table})`);
+    if (cols.some(c => c.name === column)) return false;
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  /** Guild config helpers */
+  async function setLogChannel(guildId, channelId) {
+    await db.run(`INSERT INTO guild_config (guild_id, log_channel_id) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET log_channel_id = excluded.log_channel_id`, [guildId, channelId]);
+  }
+  async function clearLogChannel(guildId) {
+    await db.run(`UPDATE guild_config SET log_channel_id = NULL WHERE guild_id = ?`, [guildId]);
+  }
+  // announcement events, each with its own template column (announce_<event>_template)
+  const ANNOUNCE_EVENTS = ['join', 'paid'];
+  async function setAnnounceChannel(guildId, channelId) {
+    await db.run(`INSERT INTO guild_config (guild_id, announce_channel_id) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET announce_channel_id = excluded.announce_channel_id`, [guildId, channelId]);
+  }
+  /** New HTTP API token of a guild (the previous one stops working); returns the token to show once */
+  async function rotateApiToken(guildId) {
+    const token = generateApiToken();
+    await db.run(
+      `INSERT INTO guild_config (guild_id, api_token_hash, api_token_created_at) VALUES (?, ?, ?)
+       ON CONFLICT(guild_id) DO UPDATE SET api_token_hash = excluded.api_token_hash, api_token_created_at = excluded.api_token_created_at`,
+      [guildId, hashApiToken(token), Date.now()]
+    );
+    return token;
+  }
+  async function revokeApiToken(guildId) {
+    const res = await db.run(`UPDATE guild_config SET api_token_hash = NULL, api_token_created_at = NULL WHERE guild_id = ? AND api_token_hash IS NOT NULL`, [guildId]);
+    return res ? res.changes > 0 : false;
+  }
+  /** -> { hash, createdAt } of the guild's API token, or null */
+  async function getApiToken(guildId) {
+    const row = await db.get(`SELECT api_token_hash, api_token_created_at FROM guild_config WHERE guild_id = ?`, [guildId]);
+    return row && row.api_token_hash ? { hash: row.api_token_hash, createdAt: Number(row.api_token_created_at) } : null;
+  }
+  /** Template of an announcement event ('join' | 'paid'); null goes back to the catalog default */
+  async function setAnnounceTemplate(guildId, event, template) {
+    if (!ANNOUNCE_EVENTS.includes(event)) throw new Error(`unknown announcement event: ${event}`);
+    const column = `announce_${event}_template`;
+    await db.run(`INSERT INTO guild_config (guild_id, ${column}) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET ${column} = excluded.${column}`, [guildId, template]);
+  }
+
+  const GUILD_REWARD_COLUMNS = ['worth', 'receiver_card', 'min_stay_ms', 'enabled', 'min_account_age_ms', 'daily_cap', 'allow_rejoins', 'clawback_window_ms', 'clawback_mode', 'house_account_id', 'payment_provider', 'low_balance_threshold', 'language'];
+
+  /**
+   * Update reward settings of a guild. Only the keys present in `fields` are touched
+   * (keys are guild_config columns; pass null to fall back to the .env default).
+   */
+  async function updateGuildRewardConfig(guildId, fields) {
+    const cols = Object.keys(fields).filter(c => GUILD_REWARD_COLUMNS.includes(c));
+    if (cols.length === 0) return;
+    await db.run(
+      `INSERT INTO guild_config (guild_id, ${cols.join(', ')}) VALUES (?, ${cols.map(() => '?').join(', ')})
+       ON CONFLICT(guild_id) DO UPDATE SET ${cols.map(c => `${c} = excluded.${c}`).join(', ')}`,
+      [guildId, ...cols.map(c => fields[c])]
+    );
+  }
+  async function resetGuildRewardConfig(guildId) {
+    await db.run(`UPDATE guild_config SET ${GUILD_REWARD_COLUMNS.map(c => `${c} = NULL`).join(', ')} WHERE guild_id = ?`, [guildId]);
+  }
+
+  /**
+   * Effective settings of a guild: values from guild_config, falling back to the .env defaults.
+   * -> { logChannelId, worth, receiverCard, minStayMs, enabled, minAccountAgeMs, dailyCap, allowRejoins, clawbackWindowMs, clawbackMode,
+   *      houseAccountId, paymentProvider, lowBalanceThreshold, language, announceChannelId, announceTemplates: { join, paid } }
+   */
+  async function getGuildSettings(guildId) {
+    const row = await db.get(`SELECT * FROM guild_config WHERE guild_id = ?`, [guildId]);
+    return {
+      logChannelId: row && row.log_channel_id ? row.log_channel_id : null,
+      worth: row && row.worth != null ? row.worth : WORTH,
+      receiverCard: row && row.receiver_card ? row.receiver_card : RECEIVER_CARD,
+      minStayMs: row && row.min_stay_ms != null ? Number(row.min_stay_ms) : MIN_STAY_MS,
+      enabled: row && row.enabled != null ? Number(row.enabled) === 1 : true,
+      minAccountAgeMs: row && row.min_account_age_ms != null ? Number(row.min_account_age_ms) : MIN_ACCOUNT_AGE_MS,
+      dailyCap: row && row.daily_cap != null ? Number(row.daily_cap) : DAILY_REWARD_CAP,
+      allowRejoins: row && row.allow_rejoins != null ? Number(row.allow_rejoins) === 1 : false,
+      clawbackWindowMs: row && row.clawback_window_ms != null ? Number(row.clawback_window_ms) : CLAWBACK_WINDOW_MS,
+      clawbackMode: row && CLAWBACK_MODES.includes(row.clawback_mode) ? row.clawback_mode : CLAWBACK_MODE,
+      houseAccountId: row && row.house_account_id ? row.house_account_id : (HOUSE_ACCOUNT_ID || null),
+      paymentProvider: row && PAYMENT_PROVIDERS.includes(row.payment_provider) ? row.payment_provider : PAYMENT_PROVIDER,
+      lowBalanceThreshold: row && row.low_balance_threshold != null ? Number(row.low_balance_threshold) : LOW_BALANCE_THRESHOLD,
+      language: row && LANGUAGES.includes(row.language) ? row.language : DEFAULT_LANGUAGE,
+      announceChannelId: row && row.announce_channel_id ? row.announce_channel_id : null,
+      announceTemplates: {
+        join: row && row.announce_join_template ? row.announce_join_template : null,
+        paid: row && row.announce_paid_template ? row.announce_paid_template : null
+      }
+    };
+  }
+
+  /** Language of a command reply: the user's Discord locale when supported, else the guild's language */
+  async function replyLanguage(interaction) {
+    const userLanguage = resolveLanguage(interaction.locale);
+    if (userLanguage) return userLanguage;
+    return interaction.guild ? (await getGuildSettings(interaction.guild.id)).language : DEFAULT_LANGUAGE;
+  }
+  /** Catalog text of a stored code (reject reason, join source, provider...), or the code itself when it has none */
+  function catalogText(lang, group, value) {
+    const key = `${group}.${value}`;
+    const text = t(lang, key);
+    return text === key ? value : text;
+  }
+
+  /** Payment provider of a guild (payments/index.js) */
+  function getPaymentProvider(settings) {
+    return paymentProviders[settings.paymentProvider] || paymentProviders[PAYMENT_PROVIDER];
+  }
+  /** Whether the guild's provider can pay at all (card provider needs a card) */
+  function canPay(settings) {
+    return !getPaymentProvider(settings).requiresCard || !!settings.receiverCard;
+  }
+
+  /** Anti-abuse rules */
+
+  // reject_reason -> text shown in /invites, /list and the log channel (rejectReasons in i18n/)
+  function rejectReasonText(lang, reason) {
+    return reason ? catalogText(lang, 'rejectReasons', reason) : t(lang, 'common.noReason');
+  }
+
+  /** Record a join in member_joins; returns how many times the user had joined this guild before */
+  async function recordMemberJoin(guildId, userId, now = Date.now()) {
+    const prev = await db.get(`SELECT join_count FROM member_joins WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+    await db.run(
+      `INSERT INTO member_joins (guild_id, user_id, first_joined_at, last_joined_at, join_count) VALUES (?, ?, ?, ?, 1)
+       ON CONFLICT(guild_id, user_id) DO UPDATE SET last_joined_at = excluded.last_joined_at, join_count = join_count + 1`,
+      [guildId, String(userId), now, now]
+    );
+    return prev ? Number(prev.join_count) : 0;
+  }
+  async function countRecentValidJoins(guildId, inviterId, since) {
+    const row = await db.get(
+      `SELECT COUNT(*) as cnt FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? AND joined_at >= ? AND status != 'rejected'`,
+      [guildId, String(inviterId), since]
+    );
+    return row ? Number(row.cnt) : 0;
+  }
+
+  /**
+   * Decide whether a join may earn its inviter a reward.
+   * join: { inviterId, inviterIsBot, joinedId, accountCreatedAt, previousJoins }
+   * -> reject_reason (key of rejectReasons in i18n/) or null when the join is valid
+   */
+  async function evaluateJoin(guildId, settings, join) {
+    if (await isBlacklisted(guildId, join.joinedId) || (join.inviterId && await isBlacklisted(guildId, join.inviterId))) return 'blacklisted';
+    if (join.inviterId && String(join.inviterId) === String(join.joinedId)) return 'self_invite';
+    if (join.inviterIsBot) return 'inviter_bot';
+    if (settings.minAccountAgeMs > 0 && join.accountCreatedAt && Date.now() - join.accountCreatedAt < settings.minAccountAgeMs) return 'account_too_new';
+    if (!settings.allowRejoins && join.previousJoins > 0) return 'rejoin';
+    if (settings.dailyCap > 0 && join.inviterId) {
+      const recent = await countRecentValidJoins(guildId, join.inviterId, Date.now() - 24 * 60 * 60 * 1000);
+      if (recent >= settings.dailyCap) return 'daily_cap';
+    }
+    return null;
+  }
+
+  /** Clawback helpers */
+  async function getInviterDebt(guildId, inviterId) {
+    const row = await db.get(`SELECT amount FROM inviter_debts WHERE guild_id = ? AND inviter_id = ?`, [guildId, String(inviterId)]);
+    return row ? Number(row.amount) : 0;
+  }
+  /** Add (positive) or settle (negative) part of an inviter's debt */
+  async function adjustInviterDebt(guildId, inviterId, delta) {
+    const current = await getInviterDebt(guildId, inviterId);
+    const next = Math.max(0, truncateDecimals(current + Number(delta), 8));
+    await db.run(
+      `INSERT INTO inviter_debts (guild_id, inviter_id, amount, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(guild_id, inviter_id) DO UPDATE SET amount = excluded.amount, updated_at = excluded.updated_at`,
+      [guildId, String(inviterId), String(next), Date.now()]
+    );
+    return next;
+  }
+  /**
+   * Cancel rewards not yet sent for a member who left; returns the deleted rows. Rows already in a
+   * payout batch are kept: the batch may have gone through and is retried with the same amount.
+   */
+  async function cancelPendingForMember(guildId, joinedId) {
+    const rows = await db.all(`SELECT * FROM invite_rewards WHERE guild_id = ? AND joined_id = ? AND status = 'pending' AND batch_id IS NULL`, [guildId, String(joinedId)]);
+    if (rows.length > 0) await db.run(`DELETE FROM invite_rewards WHERE guild_id = ? AND joined_id = ? AND status = 'pending' AND batch_id IS NULL`, [guildId, String(joinedId)]);
+    return rows;
+  }
+  /** Paid row of a member paid at or after `since` (inside the clawback window) */
+  async function getRecentlyPaidForMember(guildId, joinedId, since) {
+    return db.get(`SELECT * FROM invite_rewards WHERE guild_id = ? AND joined_id = ? AND status = 'paid' AND paid_at >= ?`, [guildId, String(joinedId), since]);
+  }
+  /**
+   * Mark a paid row as 'left'. clawedBack=true also removes it from the inviter's paid totals
+   * (the money was reversed or turned into a debt).
+   */
+  async function markLeft(rowId, clawedBack, clawbackTx) {
+    await db.run(
+      `UPDATE invite_rewards SET status = 'left', left_at = ?, paid = ?, clawback_tx = ? WHERE id = ?`,
+      [Date.now(), clawedBack ? 0 : 1, clawbackTx || null, rowId]
+    );
+  }
+
+  /** Invite code owner helpers */
+  const HOUSE_OWNER = 'house';
+  async function setInviteCodeOwner(guildId, code, ownerId) {
+    await db.run(
+      `INSERT INTO invite_code_owners (guild_id, code, owner_id, created_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(guild_id, code) DO UPDATE SET owner_id = excluded.owner_id`,
+      [guildId, code, String(ownerId), Date.now()]
+    );
+  }
+  async function removeInviteCodeOwner(guildId, code) {
+    const res = await db.run(`DELETE FROM invite_code_owners WHERE guild_id = ? AND code = ?`, [guildId, code]);
+    return !!(res && res.changes > 0);
+  }
+  async function getInviteCodeOwners(guildId) {
+    const rows = await db.all(`SELECT * FROM invite_code_owners WHERE guild_id = ? ORDER BY code`, [guildId]);
+    return rows || [];
+  }
+  /**
+   * Who gets the reward for a join through `code` according to invite_code_owners:
+   * the mapped user, the guild's house account for 'house', or null when unmapped / no house account.
+   */
+  async function resolveInviteCodeOwner(guildId, code, settings) {
+    if (!code) return null;
+    const row = await db.get(`SELECT owner_id FROM invite_code_owners WHERE guild_id = ? AND code = ?`, [guildId, code]);
+    if (!row) return null;
+    if (row.owner_id === HOUSE_OWNER) return settings.houseAccountId || null;
+    return row.owner_id;
+  }
+
+  /** Milestone helpers */
+  async function getMilestoneTiers(guildId) {
+    const rows = await db.all(`SELECT * FROM milestone_tiers WHERE guild_id = ? ORDER BY threshold ASC`, [guildId]);
+    return rows || [];
+  }
+  async function upsertMilestoneTier(guildId, threshold, bonus, roleId) {
+    await db.run(
+      `INSERT INTO milestone_tiers (guild_id, threshold, bonus, role_id, created_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(guild_id, threshold) DO UPDATE SET bonus = excluded.bonus, role_id = excluded.role_id`,
+      [guildId, threshold, bonus, roleId, Date.now()]
+    );
+  }
+  async function removeMilestoneTier(guildId, threshold) {
+    const res = await db.run(`DELETE FROM milestone_tiers WHERE guild_id = ? AND threshold = ?`, [guildId, threshold]);
+    return !!(res && res.changes > 0);
+  }
+  async function getMilestoneBonus(guildId, inviterId, threshold) {
+    return db.get(`SELECT * FROM milestone_bonuses WHERE guild_id = ? AND inviter_id = ? AND threshold = ?`, [guildId, String(inviterId), threshold]);
+  }
+  /** Ledger entry for a reached tier; false when it already exists (the tier was already rewarded) */
+  async function createMilestoneBonus(guildId, inviterId, tier) {
+    const hasBonus = tier.bonus != null && Number(tier.bonus) > 0;
+    const res = await db.run(
+      `INSERT OR IGNORE INTO milestone_bonuses (guild_id, inviter_id, threshold, amount, role_id, status, idempotency_key, created_at, paid_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [guildId, String(inviterId), tier.threshold, hasBonus ? String(tier.bonus) : null, tier.role_id || null,
+        hasBonus ? 'pending' : 'paid', crypto.randomUUID(), Date.now(), hasBonus ? null : Date.now()]
+    );
+    return !!(res && res.changes > 0);
+  }
+  /**
+   * Claim a bonus for payment (pending, or failed with attempts left and its backoff over);
+   * false when not claimable
+   */
+  async function claimMilestoneBonus(bonusId) {
+    const now = Date.now();
+    const res = await db.run(
+      `UPDATE milestone_bonuses SET status = 'processing', processing_at = ?, attempts = attempts + 1
+       WHERE id = ? AND (status = 'pending' OR (status = 'failed' AND attempts < ?)) AND (next_attempt_at IS NULL OR next_attempt_at <= ?)`,
+      [now, bonusId, PAYMENT_MAX_ATTEMPTS, now]
+    );
+    return !!(res && res.changes > 0);
+  }
+  async function markMilestoneBonusPaid(bonusId, txId) {
+    await db.run(
+      `UPDATE milestone_bonuses SET status = 'paid', paid_at = ?, payment_tx = ?, last_error = NULL, processing_at = NULL, next_attempt_at = NULL WHERE id = ?`,
+      [Date.now(), txId || null, bonusId]
+    );
+  }
+  /** Failed attempt: retried by the scheduler after the same exponential backoff as payout batches */
+  async function markMilestoneBonusFailed(bonusId, errorText) {
+    const row = await db.get(`SELECT attempts FROM milestone_bonuses WHERE id = ?`, [bonusId]);
+    const attempts = row ? Math.max(Number(row.attempts || 0), 1) : 1;
+    const delay = Math.min(PAYMENT_RETRY_BASE_MS * Math.pow(2, attempts - 1), PAYMENT_RETRY_MAX_MS);
+    await db.run(
+      `UPDATE milestone_bonuses SET status = 'failed', last_error = ?, processing_at = NULL, next_attempt_at = ? WHERE id = ?`,
+      [errorText, Date.now() + delay, bonusId]
+    );
+  }
+  /** Bonuses the scheduler should (re)try: pending, or failed with attempts left, backoff over */
+  async function getDueMilestoneBonuses(now = Date.now(), limit = 500) {
+    return db.all(
+      `SELECT * FROM milestone_bonuses
+       WHERE amount IS NOT NULL AND (status = 'pending' OR (status = 'failed' AND attempts < ?)) AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+       ORDER BY created_at ASC LIMIT ?`,
+      [PAYMENT_MAX_ATTEMPTS, now, limit]
+    );
+  }
+  async function getMilestoneBonusTotal(guildId, inviterId) {
+    const row = await db.get(
+      `SELECT SUM(CAST(amount AS REAL)) as total FROM milestone_bonuses WHERE guild_id = ? AND inviter_id = ? AND status = 'paid' AND amount IS NOT NULL`,
+      [guildId, String(inviterId)]
+    );
+    return row && row.total ? Number(row.total) : 0;
+  }
+
+  /** Persistent invite cache helpers (invitesCache / vanityCache are write-through to these tables) */
+
+  /** Stored snapshot of a guild -> { uses: Map<code, uses>, vanityUses, syncedAt }, or null when never synced */
+  async function loadInviteSnapshot(guildId) {
+    const state = await db.get(`SELECT * FROM invite_sync_state WHERE guild_id = ?`, [guildId]);
+    if (!state) return null;
+    const rows = await db.all(`SELECT code, uses FROM invite_uses WHERE guild_id = ?`, [guildId]);
+    return {
+      uses: new Map(rows.map(r => [r.code, Number(r.uses)])),
+      vanityUses: state.vanity_uses != null ? Number(state.vanity_uses) : null,
+      syncedAt: Number(state.synced_at)
+    };
+  }
+  /** Replace the stored snapshot of a guild with a fresh one */
+  async function saveInviteSnapshot(guildId, usesMap, vanityUses) {
+    await db.run(`DELETE FROM invite_uses WHERE guild_id = ?`, [guildId]);
+    for (const [code, uses] of usesMap.entries()) {
+      await db.run(`INSERT INTO invite_uses (guild_id, code, uses) VALUES (?, ?, ?)`, [guildId, code, uses]);
+    }
+    await db.run(
+      `INSERT INTO invite_sync_state (guild_id, vanity_uses, synced_at) VALUES (?, ?, ?)
+       ON CONFLICT(guild_id) DO UPDATE SET vanity_uses = excluded.vanity_uses, synced_at = excluded.synced_at`,
+      [guildId, vanityUses != null ? vanityUses : null, Date.now()]
+    );
+  }
+  async function setStoredInviteUses(guildId, code, uses) {
+    await db.run(
+      `INSERT INTO invite_uses (guild_id, code, uses) VALUES (?, ?, ?) ON CONFLICT(guild_id, code) DO UPDATE SET uses = excluded.uses`,
+      [guildId, code, uses]
+    );
+  }
+  async function removeStoredInviteUses(guildId, code) {
+    await db.run(`DELETE FROM invite_uses WHERE guild_id = ? AND code = ?`, [guildId, code]);
+  }
+  /** Forget a guild's snapshot (bot removed from the guild: joins after that can't be tracked) */
+  async function deleteInviteSnapshot(guildId) {
+    await db.run(`DELETE FROM invite_uses WHERE guild_id = ?`, [guildId]);
+    await db.run(`DELETE FROM invite_sync_state WHERE guild_id = ?`, [guildId]);
+  }
+  /** Heartbeat: the bot is online and watching these guilds */
+  async function touchInviteSync(guildIds, now = Date.now()) {
+    if (guildIds.length === 0) return;
+    await db.run(`UPDATE invite_sync_state SET synced_at = ? WHERE guild_id IN (${guildIds.map(() => '?').join(', ')})`, [now, ...guildIds]);
+  }
+  /** member_joins row of a user (null when never seen joining) */
+  async function getMemberJoin(guildId, userId) {
+    return db.get(`SELECT * FROM member_joins WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+  }
+
+  /** Invite DB helpers */
+  // inviter_id of rows with no known inviter
+  const NO_INVITER = '(unknown)';
+
+  /** Insert a join; with rejectReason the row is stored as 'rejected' and never paid. True when inserted */
+  async function addPendingInviteRecord(guildId, inviteCode, inviterId, joinedId, rejectReason = null, source = 'invite') {
+    try {
+      const now = Date.now();
+      const res = await db.run(
+        `INSERT OR IGNORE INTO invite_rewards (guild_id, invite_code, inviter_id, joined_id, joined_at, paid, status, reject_reason, source) VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)`,
+        [guildId, inviteCode || null, String(inviterId), String(joinedId), now, rejectReason ? 'rejected' : 'pending', rejectReason, source]
+      );
+      return !!(res && res.changes > 0);
+    } catch (e) {
+      log.error('db', 'addPendingInviteRecord failed', { error: e });
+      return false;
+    }
+  }
+  /**
+   * Insert a join whose inviter is not known (vanity URL, Server Discovery, ambiguous or undetected
+   * invite). The row is 'unattributed': never paid until attributeJoin gives it an inviter.
+   */
+  async function addUnattributedJoinRecord(guildId, joinedId, source, inviteCode = null, candidates = null, joinedAt = Date.now()) {
+    try {
+      const res = await db.run(
+        `INSERT OR IGNORE INTO invite_rewards (guild_id, invite_code, inviter_id, joined_id, joined_at, paid, status, source, candidates) VALUES (?, ?, ?, ?, ?, 0, 'unattributed', ?, ?)`,
+        [guildId, inviteCode || null, NO_INVITER, String(joinedId), joinedAt, source, candidates && candidates.length ? candidates.join(',') : null]
+      );
+      return !!(res && res.changes > 0);
+    } catch (e) {
+      log.error('db', 'addUnattributedJoinRecord failed', { error: e });
+      return false;
+    }
+  }
+  async function getJoinRecord(guildId, joinedId) {
+    return db.get(`SELECT * FROM invite_rewards WHERE guild_id = ? AND joined_id = ?`, [guildId, String(joinedId)]);
+  }
+  /** Give an unattributed row its inviter: it becomes pending (or rejected with rejectReason). True when updated */
+  async function attributeJoin(guildId, joinedId, inviterId, inviteCode, rejectReason = null) {
+    const res = await db.run(
+      `UPDATE invite_rewards SET inviter_id = ?, invite_code = COALESCE(?, invite_code), status = ?, reject_reason = ?
+       WHERE guild_id = ? AND joined_id = ? AND status = 'unattributed'`,
+      [String(inviterId), inviteCode || null, rejectReason ? 'rejected' : 'pending', rejectReason, guildId, String(joinedId)]
+    );
+    return !!(res && res.changes > 0);
+  }
+  /** Unattributed joins of a guild, newest first */
+  async function getUnattributedJoins(guildId, limit = 25) {
+    const rows = await db.all(`SELECT * FROM invite_rewards WHERE guild_id = ? AND status = 'unattributed' ORDER BY joined_at DESC LIMIT ?`, [guildId, limit]);
+    return rows || [];
+  }
+  async function countUnattributedJoins(guildId) {
+    const row = await db.get(`SELECT COUNT(*) as cnt FROM invite_rewards WHERE guild_id = ? AND status = 'unattributed'`, [guildId]);
+    return row ? Number(row.cnt) : 0;
+  }
+  async function getMemberJoinCount(guildId, userId) {
+    const row = await db.get(`SELECT join_count FROM member_joins WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+    return row ? Number(row.join_count) : 0;
+  }
+  async function removeInviteRecord(guildId, joinedId) {
+    try {
+      await db.run(`DELETE FROM invite_rewards WHERE guild_id = ? AND joined_id = ? AND status = 'pending' AND batch_id IS NULL`, [guildId, String(joinedId)]);
+    } catch (e) {
+      log.error('db', 'removeInviteRecord failed', { error: e });
+    }
+  }
+  /**
+   * Payout batch helpers. Rows of one (guild, inviter) are paid together by a payout batch:
+   *   batch processing -> paid | pending (retry with backoff) | failed (after PAYMENT_MAX_ATTEMPTS)
+   * Linked rows follow their batch (processing while it is in flight, pending with the batch's
+   * next_attempt_at while it waits). A batch always retries with the same rows, amount and
+   * idempotency key, so a transfer that timed out but went through is deduped by the API.
+   */
+
+  /**
+   * Create a batch for pending rows of one inviter and link them to it. Clawed-back debt of the
+   * inviter is discounted from the transfer (and taken from inviter_debts in the same transaction,
+   * so a crash can neither lose the debt nor leave a batch without its amount).
+   * `idempotencyKey` is only passed for rows attempted by older versions (one row, its own key).
+   * Returns the batch, or null when none of the rows could be claimed.
+   */
+  async function createPayoutBatch(guildId, inviterId, rowIds, worth, idempotencyKey = null) {
+    const batchId = await withTransaction(async () => {
+      const now = Date.now();
+      const res = await db.run(
+        `INSERT INTO payout_batches (guild_id, inviter_id, idempotency_key, status, attempts, processing_at, created_at) VALUES (?, ?, ?, 'processing', 1, ?, ?)`,
+        [guildId, String(inviterId), idempotencyKey || crypto.randomUUID(), now, now]
+      );
+      const claimed = await db.run(
+        `UPDATE invite_rewards SET batch_id = ?, status = 'processing', processing_at = ?, attempts = attempts + 1
+         WHERE id IN (${rowIds.map(() => '?').join(', ')}) AND status = 'pending' AND batch_id IS NULL`,
+        [res.lastID, now, ...rowIds]
+      );
+      const rowCount = claimed ? claimed.changes : 0;
+      if (rowCount === 0) {
+        await db.run(`DELETE FROM payout_batches WHERE id = ?`, [res.lastID]);
+        return null;
+      }
+      const total = truncateDecimals(rowCount * Number(worth), 8);
+      const debt = await getInviterDebt(guildId, inviterId);
+      const offset = truncateDecimals(Math.min(debt, total), 8);
+      if (offset > 0) await adjustInviterDebt(guildId, inviterId, -offset);
+      await db.run(
+        `UPDATE payout_batches SET worth = ?, row_count = ?, debt_offset = ?, amount = ? WHERE id = ?`,
+        [String(worth), rowCount, String(offset), String(truncateDecimals(total - offset, 8)), res.lastID]
+      );
+      return res.lastID;
+    });
+    return batchId ? db.get(`SELECT * FROM payout_batches WHERE id = ?`, [batchId]) : null;
+  }
+  /** Retry batches whose backoff is over */
+  async function getDuePayoutBatches(now = Date.now(), limit = 500) {
+    return db.all(
+      `SELECT * FROM payout_batches WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= ?) ORDER BY created_at ASC LIMIT ?`,
+      [now, limit]
+    );
+  }
+  async function getPayoutBatchRows(batchId) {
+    return db.all(`SELECT * FROM invite_rewards WHERE batch_id = ? ORDER BY joined_at ASC`, [batchId]);
+  }
+  /** Claim a waiting batch for a retry; false when another pass already took it */
+  async function claimPayoutBatch(batchId) {
+    const now = Date.now();
+    const res = await db.run(
+      `UPDATE payout_batches SET status = 'processing', processing_at = ?, attempts = attempts + 1 WHERE id = ? AND status = 'pending'`,
+      [now, batchId]
+    );
+    if (!res || res.changes === 0) return false;
+    await db.run(`UPDATE invite_rewards SET status = 'processing', processing_at = ?, attempts = attempts + 1 WHERE batch_id = ?`, [now, batchId]);
+    return true;
+  }
+  /** Transfer done: the batch and every linked row are paid with the same tx */
+  async function markPayoutBatchPaid(batch, txId) {
+    const now = Date.now();
+    try {
+      await db.run(
+        `UPDATE payout_batches SET status = 'paid', paid_at = ?, payment_tx = ?, last_error = NULL, processing_at = NULL, next_attempt_at = NULL WHERE id = ?`,
+        [now, txId || null, batch.id]
+      );
+      await db.run(
+        `UPDATE invite_rewards SET paid = 1, status = 'paid', paid_at = ?, payment_tx = ?, amount = ?, last_error = NULL, processing_at = NULL, next_attempt_at = NULL
+         WHERE batch_id = ?`,
+        [now, txId || null, batch.worth, batch.id]
+      );
+    } catch (e) {
+      log.error('db', 'markPayoutBatchPaid failed', { error: e });
+      throw e;
+    }
+  }
+  /**
+   * Record a failed attempt: back to pending with exponential backoff, or parked as failed
+   * once PAYMENT_MAX_ATTEMPTS is reached (the debt offset goes back to the inviter then).
+   * Returns the updated batch.
+   */
+  async function recordPayoutBatchFailure(batch, errorText) {
+    const row = await db.get(`SELECT attempts FROM payout_batches WHERE id = ?`, [batch.id]);
+    const attempts = row ? Number(row.attempts || 0) : PAYMENT_MAX_ATTEMPTS;
+    if (attempts >= PAYMENT_MAX_ATTEMPTS) {
+      await db.run(`UPDATE payout_batches SET status = 'failed', last_error = ?, processing_at = NULL, next_attempt_at = NULL WHERE id = ?`, [errorText, batch.id]);
+      await db.run(`UPDATE invite_rewards SET status = 'failed', last_error = ?, processing_at = NULL, next_attempt_at = NULL WHERE batch_id = ?`, [errorText, batch.id]);
+      if (Number(batch.debt_offset) > 0) await adjustInviterDebt(batch.guild_id, batch.inviter_id, Number(batch.debt_offset));
+    } else {
+      const delay = Math.min(PAYMENT_RETRY_BASE_MS * Math.pow(2, attempts - 1), PAYMENT_RETRY_MAX_MS);
+      await deferPayoutBatch(batch.id, Date.now() + delay, errorText);
+    }
+    return db.get(`SELECT * FROM payout_batches WHERE id = ?`, [batch.id]);
+  }
+  /**
+   * Put a batch back to waiting until `until` (API rate limit, not enough funds). With
+   * `uncount` the current attempt is not counted, since the transfer was never accepted.
+   */
+  async function deferPayoutBatch(batchId, until, errorText = null, uncount = false) {
+    const dec = uncount ? 1 : 0;
+    await db.run(
+      `UPDATE payout_batches SET status = 'pending', last_error = COALESCE(?, last_error), processing_at = NULL, next_attempt_at = ?, attempts = MAX(attempts - ?, 0) WHERE id = ?`,
+      [errorText, until, dec, batchId]
+    );
+    await db.run(
+      `UPDATE invite_rewards SET status = 'pending', last_error = COALESCE(?, last_error), processing_at = NULL, next_attempt_at = ?, attempts = MAX(attempts - ?, 0) WHERE batch_id = ?`,
+      [errorText, until, dec, batchId]
+    );
+  }
+  /**
+   * Payments stuck in 'processing' (process died mid-payment, or the DB write failed after the
+   * transfer) go back to pending; the retry reuses the idempotency key so the API won't pay twice.
+   * A batch that never got its amount was never sent: its rows are released to be batched again.
+   * Milestone bonuses stuck the same way go back to pending and keep their idempotency key.
+   */
+  async function recoverStuckPayments(olderThan) {
+    const unsent = await db.all(`SELECT id FROM payout_batches WHERE status = 'processing' AND amount IS NULL`);
+    for (const batch of unsent) {
+      await db.run(`UPDATE invite_rewards SET status = 'pending', batch_id = NULL, processing_at = NULL WHERE batch_id = ?`, [batch.id]);
+      await db.run(`DELETE FROM payout_batches WHERE id = ?`, [batch.id]);
+    }
+    const stuck = await db.all(
+      `SELECT id FROM payout_batches WHERE status = 'processing' AND (processing_at IS NULL OR processing_at <= ?)`,
+      [olderThan]
+    );
+    for (const batch of stuck) await deferPayoutBatch(batch.id, null);
+    const bonuses = await db.run(
+      `UPDATE milestone_bonuses SET status = 'pending', processing_at = NULL WHERE status = 'processing' AND (processing_at IS NULL OR processing_at <= ?)`,
+      [olderThan]
+    );
+    // rows claimed one by one by older versions
+    const res = await db.run(
+      `UPDATE invite_rewards SET status = 'pending', processing_at = NULL WHERE status = 'processing' AND batch_id IS NULL AND (processing_at IS NULL OR processing_at <= ?)`,
+      [olderThan]
+    );
+    const recovered = stuck.length + (res ? res.changes : 0) + (bonuses ? bonuses.changes : 0);
+    if (recovered > 0) log.warn('payments', 'recovered payments stuck in processing', { count: recovered });
+  }
+
+  /**
+   * Pending rows whose hold period is over (joined_at + min stay of the guild or MIN_STAY_MS <= now)
+   * and whose retry backoff has expired. Rows still inside the hold are never returned,
+   * no matter how often the scheduler ticks.
+   */
+  async function getEligibleInvites(now = Date.now(), limit = 1000) {
+    try {
+      return await db.all(
+        `SELECT r.* FROM invite_rewards r
+         LEFT JOIN guild_config c ON c.guild_id = r.guild_id
+         WHERE r.status = 'pending' AND r.batch_id IS NULL AND r.inviter_id != '(unknown)' AND r.joined_at + COALESCE(c.min_stay_ms, ?) <= ?
+           AND (r.next_attempt_at IS NULL OR r.next_attempt_at <= ?)
+         ORDER BY r.joined_at ASC LIMIT ?`,
+        [MIN_STAY_MS, now, now, limit]
+      );
+    } catch (e) {
+      log.error('db', 'getEligibleInvites failed', { error: e });
+      return [];
+    }
+  }
+  async function getInviterStats(guildId, inviterId, defaultWorth = WORTH) {
+    // Return rows grouped by invite_code with counts, paid counts and paid amount
+    // (rows paid before `amount` existed are counted at defaultWorth)
+    const rows = await db.all(
+      `SELECT invite_code, COUNT(*) as joined_count, SUM(paid) as paid_count,
+              SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejected_count,
+              SUM(CASE WHEN paid = 1 THEN CAST(COALESCE(amount, ?) AS REAL) ELSE 0 END) as paid_amount
+       FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? GROUP BY invite_code`,
+      [String(defaultWorth), guildId, String(inviterId)]
+    );
+    return rows || [];
+  }
+  async function getRejectedCountsByInviter(guildId, inviterId) {
+    const rows = await db.all(
+      `SELECT reject_reason, COUNT(*) as cnt FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? AND status = 'rejected' GROUP BY reject_reason`,
+      [guildId, String(inviterId)]
+    );
+    return rows || [];
+  }
+  async function getMembersByInviter(guildId, inviterId) {
+    const rows = await db.all(
+      `SELECT joined_id, joined_at, paid, paid_at, status, attempts, next_attempt_at, reject_reason, clawback_tx FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? ORDER BY joined_at DESC`,
+      [guildId, String(inviterId)]
+    );
+    return rows || [];
+  }
+  /** Coins an inviter has received in a guild: paid invite rewards + milestone bonuses (the /invites total) */
+  async function getInviterTotalEarned(guildId, inviterId, defaultWorth = WORTH) {
+    const row = await db.get(
+      `SELECT SUM(CAST(COALESCE(amount, ?) AS REAL)) as total FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? AND paid = 1`,
+      [String(defaultWorth), guildId, String(inviterId)]
+    );
+    const rewards = row && row.total ? Number(row.total) : 0;
+    return truncateDecimals(rewards + await getMilestoneBonusTotal(guildId, inviterId), 8);
+  }
+  async function getTotalPaidCountByInviter(guildId, inviterId) {
+    const row = await db.get(`SELECT COUNT(*) as cnt FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? AND paid = 1`, [guildId, String(inviterId)]);
+    return row ? Number(row.cnt) : 0;
+  }
+  /** Rows of a guild still waiting to be paid (pending or mid-payment), i.e. the payout liability */
+  async function countPendingPayments(guildId) {
+    const row = await db.get(
+      `SELECT COUNT(*) as cnt FROM invite_rewards WHERE guild_id = ? AND status IN ('pending', 'processing') AND inviter_id != '(unknown)'`,
+      [guildId]
+    );
+    return row ? Number(row.cnt) : 0;
+  }
+  /** Coins paid by a guild since `since` (invite rewards + milestone bonuses) */
+  async function getPaidAmountSince(guildId, since, defaultWorth = WORTH) {
+    const rewards = await db.get(
+      `SELECT SUM(CAST(COALESCE(amount, ?) AS REAL)) as total FROM invite_rewards WHERE guild_id = ? AND paid = 1 AND paid_at >= ?`,
+      [String(defaultWorth), guildId, since]
+    );
+    const bonuses = await db.get(
+      `SELECT SUM(CAST(amount AS REAL)) as total FROM milestone_bonuses WHERE guild_id = ? AND status = 'paid' AND paid_at >= ?`,
+      [guildId, since]
+    );
+    return Number(rewards && rewards.total ? rewards.total : 0) + Number(bonuses && bonuses.total ? bonuses.total : 0);
+  }
+  /**
+   * Inviters of a guild ranked by valid joins (not rejected, not clawed back) and coins earned,
+   * counting joins with from <= joined_at < to (null = unbounded). sort: 'joins' | 'coins'.
+   * Same aggregation as getInviterStats, grouped by inviter instead of invite code.
+   */
+  async function getLeaderboard(guildId, { from = null, to = null, sort = 'joins', defaultWorth = WORTH } = {}) {
+    const order = sort === 'coins' ? 'paid_amount DESC, valid_joins DESC' : 'valid_joins DESC, paid_amount DESC';
+    const rows = await db.all(
+      `SELECT inviter_id,
+              SUM(CASE WHEN status = 'rejected' OR (status = 'left' AND paid = 0) THEN 0 ELSE 1 END) as valid_joins,
+              SUM(paid) as paid_count,
+              SUM(CASE WHEN paid = 1 THEN CAST(COALESCE(amount, ?) AS REAL) ELSE 0 END) as paid_amount
+       FROM invite_rewards
+       WHERE guild_id = ? AND inviter_id != '(unknown)' AND joined_at >= ? AND joined_at < ?
+       GROUP BY inviter_id
+       HAVING valid_joins > 0 OR paid_amount > 0
+       ORDER BY ${order}, MIN(joined_at) ASC`,
+      [String(defaultWorth), guildId, from != null ? from : 0, to != null ? to : Number.MAX_SAFE_INTEGER]
+    );
+    return rows || [];
+  }
+
+  /** Totals of a guild for the HTTP API: rows per status, paid rewards and paid milestone bonuses */
+  async function getGuildTotals(guildId, defaultWorth = WORTH) {
+    const statuses = await db.all(`SELECT status, COUNT(*) as cnt FROM invite_rewards WHERE guild_id = ? GROUP BY status`, [guildId]);
+    const rewards = await db.get(
+      `SELECT COUNT(*) as cnt, SUM(CAST(COALESCE(amount, ?) AS REAL)) as total FROM invite_rewards WHERE guild_id = ? AND paid = 1`,
+      [String(defaultWorth), guildId]
+    );
+    const bonuses = await db.get(`SELECT COUNT(*) as cnt, SUM(CAST(amount AS REAL)) as total FROM milestone_bonuses WHERE guild_id = ? AND status = 'paid'`, [guildId]);
+    const byStatus = {};
+    for (const r of statuses) byStatus[r.status] = Number(r.cnt);
+    return {
+      joins: statuses.reduce((sum, r) => sum + Number(r.cnt), 0),
+      byStatus,
+      paidCount: rewards ? Number(rewards.cnt) : 0,
+      paidAmount: truncateDecimals(rewards && rewards.total ? Number(rewards.total) : 0, 8),
+      milestoneBonusCount: bonuses ? Number(bonuses.cnt) : 0,
+      milestoneBonusAmount: truncateDecimals(bonuses && bonuses.total ? Number(bonuses.total) : 0, 8)
+    };
+  }
+  /** Rows waiting to be paid (pending or mid-payment), oldest join first */
+  async function getPendingQueue(guildId, limit = 100) {
+    const rows = await db.all(
+      `SELECT id, joined_id, inviter_id, invite_code, status, joined_at, attempts, next_attempt_at, batch_id, last_error
+       FROM invite_rewards WHERE guild_id = ? AND status IN ('pending', 'processing') AND inviter_id != '(unknown)' ORDER BY joined_at ASC LIMIT ?`,
+      [guildId, limit]
+    );
+    return rows || [];
+  }
+  /** Rewards and milestone bonuses whose payment gave up (status 'failed'), newest first */
+  async function getPaymentFailures(guildId, limit = 100) {
+    const rewards = await db.all(
+      `SELECT id, joined_id, inviter_id, invite_code, joined_at, amount, attempts, batch_id, last_error
+       FROM invite_rewards WHERE guild_id = ? AND status = 'failed' ORDER BY joined_at DESC LIMIT ?`,
+      [guildId, limit]
+    );
+    const bonuses = await db.all(
+      `SELECT id, inviter_id, threshold, amount, attempts, last_error, created_at
+       FROM milestone_bonuses WHERE guild_id = ? AND status = 'failed' ORDER BY created_at DESC LIMIT ?`,
+      [guildId, limit]
+    );
+    return { rewards: rewards || [], bonuses: bonuses || [] };
+  }
+
+  /** Export / import helpers */
+
+  // columns of /export files, also the fields read by /import
+  const EXPORT_COLUMNS = ['joined_id', 'inviter_id', 'invite_code', 'source', 'status', 'reject_reason', 'joined_at', 'paid', 'paid_at', 'amount', 'payment_tx', 'clawback_tx', 'left_at'];
+  // other names accepted by /import for the same fields (other trackers / hand-made files)
+  const IMPORT_ALIASES = {
+    joined_id: ['user_id', 'member_id', 'joined'],
+    inviter_id: ['inviter', 'invited_by'],
+    invite_code: ['code', 'invite'],
+    joined_at: ['joined_timestamp', 'timestamp', 'date']
+  };
+  const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+  /** Rows of a guild for /export: from <= joined_at < to (null = unbounded), optionally of one inviter */
+  async function getInviteRecordsForExport(guildId, { from = null, to = null, inviterId = null } = {}) {
+    const rows = await db.all(
+      `SELECT * FROM invite_rewards WHERE guild_id = ? AND joined_at >= ? AND joined_at < ? AND (? IS NULL OR inviter_id = ?) ORDER BY joined_at ASC`,
+      [guildId, from != null ? from : 0, to != null ? to : Number.MAX_SAFE_INTEGER, inviterId, inviterId]
+    );
+    return rows || [];
+  }
+  /** invite_rewards row -> export record (dates as ISO strings, no inviter as empty) */
+  function toExportRecord(row) {
+    const iso = ms => (ms != null ? new Date(Number(ms)).toISOString() : null);
+    return {
+      joined_id: row.joined_id,
+      inviter_id: row.inviter_id === NO_INVITER ? null : row.inviter_id,
+      invite_code: row.invite_code || null,
+      source: row.source || 'invite',
+      status: row.status,
+      reject_reason: row.reject_reason || null,
+      joined_at: iso(row.joined_at),
+      paid: Number(row.paid || 0),
+      paid_at: iso(row.paid_at),
+      amount: row.amount != null ? String(row.amount) : null,
+      payment_tx: row.payment_tx || null,
+      clawback_tx: row.clawback_tx || null,
+      left_at: iso(row.left_at)
+    };
+  }
+  /** Timestamp of an import field: ms, seconds or an ISO / YYYY-MM-DD date; null when empty or invalid */
+  function parseImportTime(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      const n = Number(text);
+      return n < 1e12 ? n * 1000 : n;
+    }
+    const ms = Date.parse(text);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  /**
+   * Validate one imported record -> row to insert, or { error: column } naming the field that makes it unusable.
+   * Paid records come in as paid (never paid again), rejected / left keep their status, records
+   * without inviter are unattributed and the rest is 'imported' (history only) unless
+   * payPending, which makes them regular pending joins (checked by evaluateImportedJoin first).
+   */
+  function normalizeImportRecord(rec, payPending) {
+    const field = name => {
+      for (const key of [name, ...(IMPORT_ALIASES[name] || [])]) {
+        if (rec[key] != null && String(rec[key]).trim() !== '') return String(rec[key]).trim();
+      }
+      return null;
+    };
+    const joinedId = field('joined_id');
+    if (!joinedId || !/^\d{5,25}$/.test(joinedId)) return { error: 'joined_id' };
+    const inviterField = field('inviter_id');
+    if (inviterField && inviterField !== NO_INVITER && !/^\d{5,25}$/.test(inviterField)) return { error: 'inviter_id' };
+    const inviterId = inviterField && inviterField !== NO_INVITER ? inviterField : null;
+
+    const status = (field('status') || '').toLowerCase();
+    const paidField = (field('paid') || '').toLowerCase();
+    const paid = status === 'paid' || paidField === '1' || paidField === 'true';
+    let rowStatus;
+    if (!inviterId) rowStatus = 'unattributed';
+    else if (paid) rowStatus = 'paid';
+    else if (status === 'rejected' || status === 'left') rowStatus = status;
+    else rowStatus = payPending ? 'pending' : 'imported';
+
+    const amount = field('amount');
+    if (amount != null && !Number.isFinite(Number(amount))) return { error: 'amount' };
+    return {
+      joined_id: joinedId,
+      inviter_id: inviterId || NO_INVITER,
+      invite_code: field('invite_code'),
+      source: field('source') || 'import',
+      status: rowStatus,
+      reject_reason: rowStatus === 'rejected' ? (field('reject_reason') || 'imported') : null,
+      joined_at: parseImportTime(field('joined_at')) || Date.now(),
+      paid: rowStatus === 'paid' || (rowStatus === 'left' && paid) ? 1 : 0,
+      paid_at: paid ? (parseImportTime(field('paid_at')) || parseImportTime(field('joined_at')) || Date.now()) : null,
+      amount: paid && amount != null ? String(amount) : null,
+      payment_tx: field('payment_tx'),
+      clawback_tx: field('clawback_tx'),
+      left_at: parseImportTime(field('left_at'))
+    };
+  }
+  /**
+   * Insert an imported row. Joins the guild already has (same joined_id) are left untouched, so an
+   * import never creates a second reward for a member. True when inserted.
+   */
+  async function insertImportedRecord(guildId, row) {
+    const res = await db.run(
+      `INSERT OR IGNORE INTO invite_rewards (guild_id, invite_code, inviter_id, joined_id, joined_at, paid, paid_at, status, reject_reason, source, amount, payment_tx, clawback_tx, left_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [guildId, row.invite_code, row.inviter_id, row.joined_id, row.joined_at, row.paid, row.paid_at, row.status, row.reject_reason, row.source, row.amount, row.payment_tx, row.clawback_tx, row.left_at]
+    );
+    if (!res || res.changes === 0) return false;
+    // the member counts as seen for the rejoin rule
+    await db.run(
+      `INSERT OR IGNORE INTO member_joins (guild_id, user_id, first_joined_at, last_joined_at, join_count) VALUES (?, ?, ?, ?, 1)`,
+      [guildId, row.joined_id, row.joined_at, row.joined_at]
+    );
+    return true;
+  }
+
+  /**
+   * Anti-abuse rules (evaluateJoin) for an imported row that would become payable, so an import
+   * can't turn self-invites, bot inviters or blacklisted users into rewards. The account age comes
+   * from the member's snowflake; `users` caches inviter lookups across one import.
+   * Call before insertImportedRecord (which records the join for the rejoin rule).
+   * -> reject_reason or null
+   */
+  async function evaluateImportedJoin(guildId, settings, row, users = new Map()) {
+    if (!users.has(row.inviter_id)) users.set(row.inviter_id, await client.users.fetch(row.inviter_id).catch(() => null));
+    const inviter = users.get(row.inviter_id);
+    return evaluateJoin(guildId, settings, {
+      inviterId: row.inviter_id,
+      inviterIsBot: !!(inviter && inviter.bot),
+      joinedId: row.joined_id,
+      accountCreatedAt: SnowflakeUtil.timestampFrom(row.joined_id),
+      previousJoins: await getMemberJoinCount(guildId, row.joined_id)
+    });
+  }
+
+  /** Admin moderation helpers (/invite-admin) */
+
+  async function isBlacklisted(guildId, userId) {
+    const row = await db.get(`SELECT 1 FROM reward_blacklist WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+    return !!row;
+  }
+  async function getBlacklistEntry(guildId, userId) {
+    return db.get(`SELECT * FROM reward_blacklist WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+  }
+  /** True when the user was not blacklisted yet */
+  async function addToBlacklist(guildId, userId, reason, actorId) {
+    const res = await db.run(
+      `INSERT OR IGNORE INTO reward_blacklist (guild_id, user_id, reason, created_by, created_at) VALUES (?, ?, ?, ?, ?)`,
+      [guildId, String(userId), reason || null, String(actorId), Date.now()]
+    );
+    return !!(res && res.changes > 0);
+  }
+  async function removeFromBlacklist(guildId, userId) {
+    const res = await db.run(`DELETE FROM reward_blacklist WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+    return !!(res && res.changes > 0);
+  }
+  /**
+   * Pending rows of a user, as inviter or as invited member, become rejected with `reason`.
+   * Rows already in a payout batch are left alone (the transfer may have gone through). Returns the count.
+   */
+  async function rejectPendingForUser(guildId, userId, reason) {
+    const res = await db.run(
+      `UPDATE invite_rewards SET status = 'rejected', reject_reason = ?, next_attempt_at = NULL
+       WHERE guild_id = ? AND (inviter_id = ? OR joined_id = ?) AND status = 'pending' AND batch_id IS NULL`,
+      [reason, guildId, String(userId), String(userId)]
+    );
+    return res ? res.changes : 0;
+  }
+  async function getPayoutBatch(batchId) {
+    return db.get(`SELECT * FROM payout_batches WHERE id = ?`, [batchId]);
+  }
+  /** A row whose transfer may be happening right now (processing, or linked to a batch still waiting for a retry) */
+  async function isPaymentInFlight(row) {
+    if (row.status === 'processing') return true;
+    if (!row.batch_id) return false;
+    const batch = await getPayoutBatch(row.batch_id);
+    return !!(batch && (batch.status === 'pending' || batch.status === 'processing'));
+  }
+  /** Mark a row paid outside the bot (paid by hand, or the API paid but the bot recorded a failure) */
+  async function adminMarkPaid(rowId, txId, amount) {
+    await db.run(
+      `UPDATE invite_rewards SET paid = 1, status = 'paid', paid_at = ?, payment_tx = ?, amount = ?, last_error = NULL, processing_at = NULL, next_attempt_at = NULL WHERE id = ?`,
+      [Date.now(), txId, String(amount), rowId]
+    );
+  }
+  /** Undo a payment record (the transfer never arrived): the row becomes failed, ready for a retry */
+  async function adminMarkUnpaid(rowId, note) {
+    await db.run(
+      `UPDATE invite_rewards SET paid = 0, status = 'failed', paid_at = NULL, payment_tx = NULL, last_error = ?, processing_at = NULL, next_attempt_at = NULL, batch_id = NULL WHERE id = ?`,
+      [note, rowId]
+    );
+  }
+  async function voidReward(rowId, note) {
+    await db.run(
+      `UPDATE invite_rewards SET status = 'rejected', reject_reason = 'voided', last_error = ?, next_attempt_at = NULL, batch_id = NULL WHERE id = ?`,
+      [note, rowId]
+    );
+  }
+  /** Failed row back to pending for a fresh payment (new batch, new idempotency key) */
+  async function requeuePayment(rowId) {
+    await db.run(
+      `UPDATE invite_rewards SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NULL, processing_at = NULL, batch_id = NULL, idempotency_key = NULL WHERE id = ?`,
+      [rowId]
+    );
+  }
+  /**
+   * Delete the join records of an inviter (resets /invites, /list and leaderboard stats). Payments in
+   * flight are kept; the milestone ledger is kept too, so tiers already rewarded are never paid again.
+   */
+  async function resetInviterStats(guildId, inviterId) {
+    const res = await db.run(
+      `DELETE FROM invite_rewards WHERE guild_id = ? AND inviter_id = ? AND status != 'processing'
+         AND (batch_id IS NULL OR batch_id NOT IN (SELECT id FROM payout_batches WHERE status IN ('pending', 'processing')))`,
+      [guildId, String(inviterId)]
+    );
+    return res ? res.changes : 0;
+  }
+  async function recordAdminAction(guildId, actorId, action, targetId, reason, details = null) {
+    await db.run(
+      `INSERT INTO admin_audit (guild_id, actor_id, action, target_id, reason, details, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [guildId, String(actorId), action, targetId ? String(targetId) : null, reason || null, details ? JSON.stringify(details) : null, Date.now()]
+    );
+  }
+
+  /** Notification preference helpers (DMs are opt-in: no row means off) */
+  async function getNotificationPrefs(guildId, userId) {
+    const row = await db.get(`SELECT dm_enabled, language FROM notification_prefs WHERE guild_id = ? AND user_id = ?`, [guildId, String(userId)]);
+    return { dmEnabled: !!row && Number(row.dm_enabled) === 1, language: row && LANGUAGES.includes(row.language) ? row.language : null };
+  }
+  async function setDmNotifications(guildId, userId, enabled, language) {
+    await db.run(
+      `INSERT INTO notification_prefs (guild_id, user_id, dm_enabled, language, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(guild_id, user_id) DO UPDATE SET dm_enabled = excluded.dm_enabled, language = excluded.language, updated_at = excluded.updated_at`,
+      [guildId, String(userId), enabled ? 1 : 0, language || null, Date.now()]
+    );
+  }
+
+  /** Utilities */
+  /** CSV text of `records` with the given columns (RFC 4180 quoting) */
+  function toCsv(records, columns) {
+    const cell = v => {
+      if (v == null) return '';
+      const s = String(v);
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [columns.join(','), ...records.map(r => columns.map(c => cell(r[c])).join(','))].join('\r\n') + '\r\n';
+  }
+  /** Parse CSV text with a header line -> array of objects keyed by the (lowercased) header */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { value += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else value += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(value); value = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(value); value = '';
+        rows.push(row); row = [];
+      } else {
+        value += ch;
+      }
+    }
+    if (value !== '' || row.length > 0) { row.push(value); rows.push(row); }
+    const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+    return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] != null ? r[i] : ''])));
+  }
+  /** Run `fn` over `items` with at most `limit` calls in flight */
+  async function runWithConcurrency(items, limit, fn) {
+    let next = 0;
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+      workers.push((async () => {
+        while (next < items.length) await fn(items[next++]);
+      })());
+    }
+    await Promise.all(workers);
+  }
+  function truncateDecimals(num, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.trunc(Number(num) * factor) / factor;
+  }
+  function maskCard(card, lang) {
+    if (!card) return t(lang, 'common.none');
+    const str = String(card);
+    return str.length <= 4 ? '****' : `****${str.slice(-4)}`;
+  }
+  function msToMMSS(ms) {
+    const totalSec = Math.floor(ms / 1000);
+    const m = Math.floor(totalSec / 60);
+    const s = totalSec % 60;
+    return `${m}:${s.toString().padStart(2, '0')}m`;
+  }
+  /** Parse a YYYY-MM-DD date (UTC) -> ms, or null when invalid */
+  function parseDateUTC(str) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(str || '').trim());
+    if (!m) return null;
+    const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return Number.isNaN(ms) ? null : ms;
+  }
+  function formatDateUTC(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+  /** Human duration for longer holds: "6d 23h 05m", "3h 12m", "4:09m" */
+  function msToDuration(ms) {
+    const totalMin = Math.floor(ms / 60000);
+    const d = Math.floor(totalMin / 1440);
+    const h = Math.floor((totalMin % 1440) / 60);
+    const m = totalMin % 60;
+    if (d > 0) return `${d}d ${h}h ${m.toString().padStart(2, '0')}m`;
+    if (h > 0) return `${h}h ${m.toString().padStart(2, '0')}m`;
+    return msToMMSS(ms);
+  }
+
+  /** Send an embed to a guild's log channel (no-op when none is configured / not writable) */
+  async function sendLogEmbed(logChannelId, embed, tag = 'log') {
+    if (!logChannelId) return;
+    try {
+      const channel = await client.channels.fetch(logChannelId).catch(() => null);
+      if (channel && channel?.isTextBased && channel.permissionsFor(client.user)?.has(PermissionsBitField.Flags.SendMessages)) {
+        await channel.send({ embeds: [embed] });
+      }
+    } catch (e) {
+      log.warn(tag, 'failed to send log message', { channel_id: logChannelId, error: e });
+    }
+  }
+
+  /** Notifications */
+
+  /**
+   * Post an event to the guild's announcements channel with its template (or the catalog default).
+   * Placeholders: {inviter}, {member}, {amount}, {total}
+   */
+  async function sendAnnouncement(settings, event, vars) {
+    if (!settings.announceChannelId) return;
+    const template = settings.announceTemplates[event] || t(settings.language, `announcements.defaults.${event}`);
+    try {
+      const channel = await client.channels.fetch(settings.announceChannelId).catch(() => null);
+      if (channel && channel?.isTextBased && channel.permissionsFor(client.user)?.has(PermissionsBitField.Flags.SendMessages)) {
+        // mentions are rendered but nobody gets pinged
+        await channel.send({ content: format(template, vars).slice(0, 2000), allowedMentions: { parse: [] } });
+      }
+    } catch (e) {
+      log.warn('announce', 'failed to send announcement', { channel_id: settings.announceChannelId, error: e });
+    }
+  }
+
+  /** DM an inviter who opted in with /notifications; `build(lang)` returns the embed */
+  async function sendInviterDm(guildId, userId, settings, build) {
+    const prefs = await getNotificationPrefs(guildId, userId);
+    if (!prefs.dmEnabled) return;
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send({ embeds: [build(prefs.language || settings.language)] });
+    } catch (e) {
+      // DMs closed or unknown user: the preference stays, the next event tries again
+      log.warn('notify', 'failed to DM inviter', { guild_id: guildId, user_id: userId, error: e });
+    }
+  }
+
+  /** A join was recorded for an inviter (rejected and unattributed joins are not announced) */
+  async function notifyJoinRecorded(guild, settings, { inviterId, memberId, code }) {
+    const worth = truncateDecimals(Number(settings.worth), 8);
+    const total = await getInviterTotalEarned(guild.id, inviterId, settings.worth);
+    await sendAnnouncement(settings, 'join', { inviter: `<@${inviterId}>`, member: `<@${memberId}>`, amount: worth, total });
+    await sendInviterDm(guild.id, inviterId, settings, lang => new EmbedBuilder()
+      .setTitle(t(lang, 'notifications.joinTitle', { guild: guild.name }))
+      .addFields(
+        { name: t(lang, 'fields.newMember'), value: `<@${memberId}>`, inline: true },
+        { name: t(lang, 'fields.invite'), value: code || '(unknown)', inline: true },
+        { name: t(lang, 'join.estimatedReward'), value: String(worth), inline: true },
+        { name: t(lang, 'fields.eligible'), value: `<t:${Math.floor((Date.now() + settings.minStayMs) / 1000)}:R>`, inline: true }
+      )
+      .setFooter({ text: t(lang, 'notifications.footer') })
+      .setTimestamp());
+  }
+
+  /** A payout batch was paid: `value` is the rewards' worth, `amount` what was transferred (after any debt offset) */
+  async function notifyPayout(settings, batch, rows, { value, amount, txId }) {
+    const guild = client.guilds.cache.get(batch.guild_id);
+    const memberIds = rows.map(r => r.joined_id);
+    const total = await getInviterTotalEarned(batch.guild_id, batch.inviter_id, settings.worth);
+    await sendAnnouncement(settings, 'paid', {
+      inviter: `<@${batch.inviter_id}>`, member: formatMemberMentions(memberIds, settings.language), amount: value, total
+    });
+    await sendInviterDm(batch.guild_id, batch.inviter_id, settings, lang => {
+      const embed = new EmbedBuilder()
+        .setTitle(t(lang, 'notifications.paidTitle', { guild: guild ? guild.name : batch.guild_id }))
+        .addFields(
+          { name: t(lang, 'fields.value'), value: String(truncateDecimals(amount, 8)), inline: true },
+          { name: t(lang, 'fields.joins'), value: String(rows.length), inline: true },
+          { name: t(lang, 'fields.tx'), value: txId || t(lang, 'common.noTxId'), inline: true },
+          { name: t(lang, 'notifications.total'), value: String(total), inline: true },
+          { name: t(lang, 'fields.invited'), value: formatMemberMentions(memberIds, lang), inline: false }
+        )
+        .setFooter({ text: t(lang, 'notifications.footer') })
+        .setTimestamp();
+      if (value > amount) embed.addFields({ name: t(lang, 'payouts.debtOffset'), value: String(truncateDecimals(value - amount, 8)), inline: true });
+      return embed;
+    });
+  }
+
+  /** Funding balance */
+
+  /**
+   * Balance of the account paying a guild's rewards: a number, null when the provider has no
+   * funds limit (ledger, dry-run), or undefined when the check failed (payouts are not blocked then)
+   */
+  async function getFundingBalance(guildId, settings) {
+    try {
+      const balance = await getPaymentProvider(settings).getBalance({ guildId, cardCode: settings.receiverCard });
+      return balance == null ? null : Number(balance);
+    } catch (e) {
+      log.warn('balance', 'balance check failed', { guild_id: guildId, error: e });
+      return undefined;
+    }
+  }
+
+  /**
+   * Post a low-balance warning to the guild log channel when the balance is below the guild's
+   * threshold or can't cover the pending queue. At most one warning per LOW_BALANCE_ALERT_INTERVAL_MS;
+   * the next drop is announced again once the balance recovers.
+   */
+  async function checkLowBalance(guildId, settings, balance) {
+    if (balance == null) return;
+    const pendingCount = await countPendingPayments(guildId);
+    const liability = truncateDecimals(pendingCount * Number(settings.worth), 8);
+    const belowThreshold = settings.lowBalanceThreshold > 0 && balance < settings.lowBalanceThreshold;
+    const belowQueue = balance < liability;
+    if (!belowThreshold && !belowQueue) {
+      lowBalanceAlerts.delete(guildId);
+      return;
+    }
+    const lastAlert = lowBalanceAlerts.get(guildId);
+    if (lastAlert && Date.now() - lastAlert < LOW_BALANCE_ALERT_INTERVAL_MS) return;
+    lowBalanceAlerts.set(guildId, Date.now());
+
+    log.warn('balance', 'low balance', { guild_id: guildId, balance, pending_liability: liability, threshold: settings.lowBalanceThreshold });
+    const lang = settings.language;
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'lowBalance.title'))
+      .setDescription(t(lang, belowQueue ? 'lowBalance.belowQueue' : 'lowBalance.belowThreshold'))
+      .addFields(
+        { name: t(lang, 'fields.card'), value: maskCard(settings.receiverCard, lang), inline: true },
+        { name: t(lang, 'fields.balance'), value: String(truncateDecimals(balance, 8)), inline: true },
+        { name: t(lang, 'fields.pending'), value: `${pendingCount} (${liability})`, inline: true },
+        { name: t(lang, 'lowBalance.alertBelow'), value: settings.lowBalanceThreshold > 0 ? String(settings.lowBalanceThreshold) : t(lang, 'lowBalance.disabled'), inline: true }
+      )
+      .setTimestamp();
+    await sendLogEmbed(settings.logChannelId, embed, 'balance');
+  }
+
+  /** Milestones */
+
+  /** Give a tier's role to the inviter; returns a short result text for the log */
+  async function grantMilestoneRole(guildId, inviterId, roleId, lang) {
+    try {
+      const guild = await client.guilds.fetch(guildId);
+      const member = await guild.members.fetch(String(inviterId));
+      await member.roles.add(roleId, 'Invite milestone');
+      return t(lang, 'milestones.roleGranted', { role: roleId });
+    } catch (e) {
+      log.warn('milestones', 'failed to grant role', { guild_id: guildId, role_id: roleId, inviter_id: inviterId, error: e });
+      return t(lang, 'milestones.roleNotGranted', { role: roleId, error: e && e.message ? e.message : t(lang, 'milestones.error') });
+    }
+  }
+
+  /**
+   * Evaluate an inviter's milestone tiers against their paid invites (same count as
+   * getTotalPaidCountByInviter). Each tier is rewarded once: the milestone_bonuses row is created
+   * first, then the bonus goes through the guild's payment provider with the row's idempotency key.
+   * Failed or interrupted bonuses are retried by periodicCheck (retryMilestoneBonuses) once their
+   * backoff is over, up to PAYMENT_MAX_ATTEMPTS.
+   */
+  async function checkMilestones(guildId, inviterId, settings) {
+    const tiers = await getMilestoneTiers(guildId);
+    if (tiers.length === 0) return;
+    const count = await getTotalPaidCountByInviter(guildId, inviterId);
+    const lang = settings.language;
+
+    for (const tier of tiers) {
+      if (Number(tier.threshold) > count) continue;
+      try {
+        let roleResult = null;
+        let bonus = await getMilestoneBonus(guildId, inviterId, tier.threshold);
+        const reachedNow = !bonus;
+        if (reachedNow) {
+          if (!(await createMilestoneBonus(guildId, inviterId, tier))) continue;
+          bonus = await getMilestoneBonus(guildId, inviterId, tier.threshold);
+          if (tier.role_id) roleResult = await grantMilestoneRole(guildId, inviterId, tier.role_id, lang);
+        } else if (bonus.amount == null || bonus.status === 'paid') {
+          continue; // tier already rewarded
+        }
+
+        let bonusResult = null;
+        // for the log line: pending | paid | failed (bonusResult is the guild-language text)
+        let bonusStatus = null;
+        if (bonus.amount != null && bonus.status !== 'paid') {
+          if (!canPay(settings) || !(await claimMilestoneBonus(bonus.id))) {
+            if (!reachedNow) continue;
+            bonusStatus = 'pending';
+            bonusResult = t(lang, 'milestones.bonusPending', { amount: bonus.amount });
+          } else {
+            try {
+              const payRes = await getPaymentProvider(settings).transfer({
+                guildId, cardCode: settings.receiverCard, toId: inviterId, amount: bonus.amount, idempotencyKey: `milestone-${bonus.idempotency_key}`
+              });
+              const txId = payRes && payRes.txId ? payRes.txId : null;
+              await markMilestoneBonusPaid(bonus.id, txId);
+              metrics.payouts.inc({ kind: 'milestone', result: 'success' });
+              metrics.paidAmount.inc({ kind: 'milestone' }, Number(bonus.amount));
+              bonusStatus = 'paid';
+              bonusResult = t(lang, 'milestones.bonusPaid', { amount: truncateDecimals(Number(bonus.amount), 8), tx: txId || t(lang, 'common.noTxId') });
+            } catch (payErr) {
+              const errorText = payErr && payErr.message ? payErr.message : String(payErr);
+              await markMilestoneBonusFailed(bonus.id, errorText);
+              metrics.payouts.inc({ kind: 'milestone', result: 'failure' });
+              bonusStatus = 'failed';
+              bonusResult = t(lang, 'milestones.bonusFailed', { amount: bonus.amount, error: errorText.slice(0, 500) });
+            }
+          }
+        }
+        log.info('milestones', 'milestone reached', {
+          guild_id: guildId, inviter_id: inviterId, threshold: tier.threshold, bonus: bonus.amount != null ? bonus.amount : null,
+          bonus_status: bonusStatus || undefined, role_id: roleResult ? tier.role_id : undefined
+        });
+
+        const embed = new EmbedBuilder()
+          .setTitle(t(lang, reachedNow ? 'milestones.reachedTitle' : 'milestones.bonusTitle'))
+          .addFields(
+            { name: t(lang, 'fields.inviter'), value: `<@${inviterId}> (${inviterId})`, inline: true },
+            { name: t(lang, 'milestones.milestone'), value: t(lang, 'milestones.milestoneValue', { count: tier.threshold }), inline: true },
+            { name: t(lang, 'milestones.bonus'), value: bonusResult || t(lang, 'milestones.noBonus'), inline: false }
+          )
+          .setTimestamp();
+        if (roleResult) embed.addFields({ name: t(lang, 'milestones.role'), value: roleResult, inline: false });
+        await sendLogEmbed(settings.logChannelId, embed, 'milestones');
+      } catch (e) {
+        log.error('milestones', 'tier failed', { guild_id: guildId, inviter_id: inviterId, threshold: tier.threshold, error: e });
+      }
+    }
+  }
+
+  /** Periodic checker */
+
+  /** Settings of a guild for this pass, read once per run; the first read also posts the low-balance warning */
+  async function getRunSettings(run, guildId) {
+    if (!run.settings.has(guildId)) {
+      const settings = await getGuildSettings(guildId);
+      run.settings.set(guildId, settings);
+      if (settings.enabled && canPay(settings)) await checkLowBalance(guildId, settings, await getRunBalance(run, guildId, settings));
+    }
+    return run.settings.get(guildId);
+  }
+  /** Balance per paying account (provider + card; guilds may share the .env card), fetched once per run */
+  async function getRunBalance(run, guildId, settings) {
+    const account = `${settings.paymentProvider}:${settings.receiverCard}`;
+    if (!run.balances.has(account)) run.balances.set(account, await getFundingBalance(guildId, settings));
+    return run.balances.get(account);
+  }
+  /**
+   * Take `amount` from the run balance before a transfer; false when funds are not enough.
+   * Synchronous on purpose: concurrent payouts can't both spend the same funds.
+   */
+  function reserveFunds(run, settings, amount) {
+    const account = `${settings.paymentProvider}:${settings.receiverCard}`;
+    const balance = run.balances.get(account);
+    if (balance == null) return true; // no limit, or balance unknown (check failed)
+    if (balance < amount) return false;
+    run.balances.set(account, truncateDecimals(balance - amount, 8));
+    return true;
+  }
+  function releaseFunds(run, settings, amount) {
+    const account = `${settings.paymentProvider}:${settings.receiverCard}`;
+    const balance = run.balances.get(account);
+    if (balance != null) run.balances.set(account, truncateDecimals(balance + amount, 8));
+  }
+
+  /**
+   * Send one payout batch. `claimed` is true for batches created in this pass (already
+   * processing, funds reserved); retries are claimed here.
+   */
+  async function payOutBatch(run, { batch, settings, claimed }) {
+    const amount = Number(batch.amount);
+    if (!claimed) {
+      if (run.pausedGuilds.has(batch.guild_id) || Date.now() < run.rateLimitedUntil) return;
+      if (!reserveFunds(run, settings, amount)) {
+        log.warn('scheduler', 'insufficient funds, pausing payouts', { guild_id: batch.guild_id, batch_id: batch.id, amount });
+        run.pausedGuilds.add(batch.guild_id);
+        return;
+      }
+      if (!(await claimPayoutBatch(batch.id))) {
+        releaseFunds(run, settings, amount);
+        return;
+      }
+    } else if (Date.now() < run.rateLimitedUntil) {
+      // created before another transfer hit the rate limit: wait without spending an attempt
+      releaseFunds(run, settings, amount);
+      await deferPayoutBatch(batch.id, run.rateLimitedUntil, null, true);
+      return;
+    }
+
+    const rows = await getPayoutBatchRows(batch.id);
+    const attempt = await db.get(`SELECT attempts FROM payout_batches WHERE id = ?`, [batch.id]);
+    log.info('scheduler', 'paying inviter', { guild_id: batch.guild_id, inviter_id: batch.inviter_id, batch_id: batch.id, joins: rows.length, attempt: attempt ? attempt.attempts : null });
+
+    let txId = null;
+    try {
+      if (amount > 0) {
+        const payRes = await getPaymentProvider(settings).transfer({
+          guildId: batch.guild_id, cardCode: settings.receiverCard, toId: batch.inviter_id, amount, idempotencyKey: batch.idempotency_key
+        });
+        txId = payRes && payRes.txId ? payRes.txId : null;
+      } else {
+        txId = 'debit-offset';
+      }
+    } catch (payErr) {
+      releaseFunds(run, settings, amount);
+      const errorText = payErr && payErr.message ? payErr.message : String(payErr);
+      if (payErr && payErr.retryAfterMs != null) {
+        // API rate limit: hold every payout of this pass, the batch waits without spending an attempt
+        run.rateLimitedUntil = Math.max(run.rateLimitedUntil, Date.now() + payErr.retryAfterMs);
+        log.warn('scheduler', 'payment API rate limited, holding payouts', { retry_after_ms: run.rateLimitedUntil - Date.now() });
+        await deferPayoutBatch(batch.id, run.rateLimitedUntil, errorText, true);
+        return;
+      }
+      log.error('scheduler', 'payment error', { guild_id: batch.guild_id, inviter_id: batch.inviter_id, batch_id: batch.id, error: errorText });
+      metrics.payouts.inc({ kind: 'reward', result: 'failure' });
+      const updated = await recordPayoutBatchFailure(batch, errorText);
+      if (updated && updated.status === 'failed') {
+        log.error('scheduler', 'giving up on batch', { guild_id: batch.guild_id, batch_id: batch.id, joins: rows.length, attempts: updated.attempts });
+        const lang = settings.language;
+        const embed = new EmbedBuilder()
+          .setTitle(t(lang, 'payouts.failedTitle'))
+          .addFields(
+            { name: t(lang, 'fields.inviter'), value: `<@${batch.inviter_id}> (${batch.inviter_id})`, inline: true },
+            { name: t(lang, 'fields.joins'), value: String(rows.length), inline: true },
+            { name: t(lang, 'fields.attempts'), value: String(updated.attempts), inline: true },
+            { name: t(lang, 'fields.invited'), value: formatMemberMentions(rows.map(r => r.joined_id), lang), inline: false },
+            { name: t(lang, 'fields.error'), value: errorText.slice(0, 1000), inline: false }
+          )
+          .setTimestamp();
+        await sendLogEmbed(settings.logChannelId, embed, 'scheduler');
+      }
+      return;
+    }
+
+    // transfer done: if this write fails the batch stays 'processing' and is retried later
+    // with the same idempotency key, so the API dedupes it instead of paying twice
+    await markPayoutBatchPaid(batch, txId);
+    const offset = Number(batch.debt_offset);
+    const total = truncateDecimals(rows.length * Number(batch.worth), 8);
+    log.info('scheduler', 'paid inviter', {
+      guild_id: batch.guild_id, inviter_id: batch.inviter_id, batch_id: batch.id, tx: txId, joins: rows.length, amount, debt_offset: offset > 0 ? offset : undefined
+    });
+    metrics.payouts.inc({ kind: 'reward', result: 'success' });
+    metrics.paidAmount.inc({ kind: 'reward' }, amount);
+
+    // one summary per inviter instead of one message per join
+    const codes = [...new Set(rows.map(r => r.invite_code || '(unknown)'))];
+    const lang = settings.language;
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'payouts.paidTitle'))
+      .addFields(
+        { name: t(lang, 'fields.inviter'), value: `<@${batch.inviter_id}> (${batch.inviter_id})`, inline: true },
+        { name: t(lang, 'fields.joins'), value: String(rows.length), inline: true },
+        { name: t(lang, 'fields.value'), value: t(lang, 'payouts.valueEach', { total, worth: truncateDecimals(Number(batch.worth), 8) }), inline: true },
+        { name: t(lang, 'fields.invites'), value: codes.join(', ').slice(0, 1000), inline: true },
+        { name: t(lang, 'fields.tx'), value: txId || t(lang, 'common.noTxId'), inline: true },
+        { name: t(lang, 'fields.invited'), value: formatMemberMentions(rows.map(r => r.joined_id), lang), inline: false }
+      )
+      .setTimestamp();
+    if (offset > 0) embed.addFields({ name: t(lang, 'payouts.debtOffset'), value: t(lang, 'payouts.debtOffsetValue', { offset: truncateDecimals(offset, 8), amount }), inline: false });
+    await sendLogEmbed(settings.logChannelId, embed, 'scheduler');
+    await notifyPayout(settings, batch, rows, { value: total, amount, txId });
+
+    await checkMilestones(batch.guild_id, batch.inviter_id, settings);
+  }
+
+  /** Member mentions for the log embeds (cut to fit an embed field) */
+  function formatMemberMentions(userIds, lang) {
+    let text = '';
+    for (let i = 0; i < userIds.length; i++) {
+      const next = `${text ? ', ' : ''}<@${userIds[i]}>`;
+      if (text.length + next.length > 950) return t(lang, 'common.andMore', { text, count: userIds.length - i });
+      text += next;
+    }
+    return text || t(lang, 'common.none');
+  }
+
+  /**
+   * Retry milestone bonuses that failed or were interrupted, without waiting for the inviter's next
+   * payout. checkMilestones claims and pays them with their own idempotency key.
+   */
+  async function retryMilestoneBonuses(run, bonuses) {
+    const inviters = new Map();
+    for (const bonus of bonuses) inviters.set(`${bonus.guild_id}:${bonus.inviter_id}`, bonus);
+    for (const bonus of inviters.values()) {
+      if (shuttingDown) break;
+      try {
+        const settings = await getRunSettings(run, bonus.guild_id);
+        if (!settings.enabled || !canPay(settings) || run.pausedGuilds.has(bonus.guild_id)) continue;
+        await checkMilestones(bonus.guild_id, bonus.inviter_id, settings);
+      } catch (e) {
+        log.error('milestones', 'bonus retry failed', { guild_id: bonus.guild_id, inviter_id: bonus.inviter_id, error: e });
+      }
+    }
+  }
+
+  async function periodicCheck() {
+    if (periodicRunning) {
+      log.info('scheduler', 'previous check still running, skipping tick');
+      return;
+    }
+    periodicRunning = true;
+    log.debug('scheduler', 'running periodic check');
+    lastPeriodicRun = Date.now();
+    let failed = false;
+    try {
+      // heartbeat: joins after this moment that the bot never saw are caught up on the next start
+      await touchInviteSync(Array.from(client.guilds.cache.keys()), lastPeriodicRun);
+      await recoverStuckPayments(lastPeriodicRun - PAYMENT_PROCESSING_TIMEOUT_MS);
+      const retries = await getDuePayoutBatches(lastPeriodicRun);
+      const pending = await getEligibleInvites(lastPeriodicRun, 2000);
+      const bonuses = await getDueMilestoneBonuses(lastPeriodicRun);
+      if (retries.length === 0 && (!pending || pending.length === 0) && bonuses.length === 0) {
+        log.debug('scheduler', 'none eligible');
+        return;
+      }
+
+      // per-run state: guild settings, balance per paying account, guilds paused for lack of
+      // funds and the end of an API rate limit
+      const run = { settings: new Map(), balances: new Map(), pausedGuilds: new Set(), rateLimitedUntil: 0 };
+      const jobs = [];
+
+      // batches waiting for a retry keep their rows, amount and idempotency key
+      for (const batch of retries) {
+        try {
+          const settings = await getRunSettings(run, batch.guild_id);
+          // rewards disabled or nothing to pay from -> keep waiting
+          if (!settings.enabled || !canPay(settings)) continue;
+          await getRunBalance(run, batch.guild_id, settings);
+          jobs.push({ batch, settings, claimed: false });
+        } catch (e) {
+          log.error('scheduler', 'batch failed', { batch_id: batch.id, error: e });
+        }
+      }
+
+      // new rows grouped by (guild, inviter): one transfer per inviter
+      const groups = new Map();
+      for (const row of pending) {
+        try {
+          const settings = await getRunSettings(run, row.guild_id);
+
+          // rewards disabled or nothing to pay from -> keep pending
+          if (!settings.enabled) continue;
+          if (!canPay(settings)) {
+            log.warn('scheduler', 'guild cannot pay (no card configured for provider card), skipping row', { guild_id: row.guild_id, joined_id: row.joined_id });
+            continue;
+          }
+
+          const guild = await client.guilds.fetch(row.guild_id).catch(() => null);
+          if (!guild) {
+            log.info('scheduler', 'guild not accessible, removing record', { guild_id: row.guild_id, joined_id: row.joined_id });
+            await removeInviteRecord(row.guild_id, row.joined_id);
+            continue;
+          }
+
+          const member = await guild.members.fetch(row.joined_id).catch(() => null);
+          if (!member) {
+            log.info('scheduler', 'member not in guild, deleting record', { guild_id: row.guild_id, joined_id: row.joined_id });
+            await removeInviteRecord(row.guild_id, row.joined_id);
+            continue;
+          }
+
+          // rows already attempted one by one by older versions keep their own idempotency key
+          const key = row.idempotency_key ? `row:${row.id}` : `${row.guild_id}:${row.inviter_id}`;
+          if (!groups.has(key)) groups.set(key, { guildId: row.guild_id, inviterId: row.inviter_id, settings, idempotencyKey: row.idempotency_key || null, rows: [] });
+          groups.get(key).rows.push(row);
+        } catch (rowErr) {
+          log.error('scheduler', 'processing row failed', { guild_id: row.guild_id, joined_id: row.joined_id, error: rowErr });
+        }
+      }
+
+      for (const group of groups.values()) {
+        if (shuttingDown) break;
+        try {
+          const { guildId, settings } = group;
+          if (run.pausedGuilds.has(guildId)) continue;
+          // only as many rows as the balance covers; the rest stays pending
+          const balance = await getRunBalance(run, guildId, settings);
+          const worth = Number(settings.worth);
+          const affordable = balance == null ? group.rows.length : Math.min(group.rows.length, Math.floor(truncateDecimals(balance / worth, 8)));
+          if (affordable <= 0) {
+            log.warn('scheduler', 'insufficient funds, pausing payouts', { guild_id: guildId, balance, worth: settings.worth });
+            run.pausedGuilds.add(guildId);
+            continue;
+          }
+          const batch = await createPayoutBatch(guildId, group.inviterId, group.rows.slice(0, affordable).map(r => r.id), settings.worth, group.idempotencyKey);
+          if (!batch) continue;
+          reserveFunds(run, settings, Number(batch.amount));
+          jobs.push({ batch, settings, claimed: true });
+        } catch (e) {
+          log.error('scheduler', 'batch creation failed', { guild_id: group.guildId, inviter_id: group.inviterId, error: e });
+        }
+      }
+
+      await runWithConcurrency(jobs, PAYOUT_CONCURRENCY, async job => {
+        // shutting down: transfers already started finish, the rest go back to the queue untouched
+        if (shuttingDown) {
+          if (job.claimed) await deferPayoutBatch(job.batch.id, Date.now(), null, true);
+          return;
+        }
+        try {
+          await payOutBatch(run, job);
+        } catch (e) {
+          log.error('scheduler', 'batch failed', { batch_id: job.batch.id, error: e });
+        }
+      });
+
+      // after the payouts: bonuses of inviters paid in this pass were already tried by checkMilestones
+      if (!shuttingDown) await retryMilestoneBonuses(run, bonuses);
+    } catch (err) {
+      failed = true;
+      log.error('scheduler', 'periodic check failed', { error: err });
+    } finally {
+      periodicRunning = false;
+      const durationMs = Date.now() - lastPeriodicRun;
+      metrics.schedulerRuns.observe(durationMs / 1000);
+      if (failed) metrics.schedulerErrors.inc();
+      else lastPeriodicSuccess = Date.now();
+      log.debug('scheduler', 'periodic check finished', { duration_ms: durationMs });
+    }
+  }
+
+
+  /** Invite cache refresh */
+
+  /**
+   * Fetch the current invite and vanity uses of a guild into the cache and the stored snapshot.
+   * Returns the fetched invites (Map<code, Invite>), or null when they could not be fetched
+   * (the stored snapshot is kept then).
+   */
+  async function refreshGuildInvites(guild) {
+    const vanity = await refreshVanityUses(guild);
+    try {
+      const fetched = await guild.invites.fetch();
+      const map = new Map();
+      for (const inv of fetched.values()) map.set(inv.code, inv.uses || 0);
+      invitesCache.set(guild.id, map);
+      await saveInviteSnapshot(guild.id, map, vanity ? vanity.uses : null);
+      return fetched;
+    } catch (e) {
+      invitesCache.set(guild.id, new Map());
+      log.warn('invites', 'failed to fetch invites', { guild_id: guild.id, error: e });
+      return null;
+    }
+  }
+  /** Current vanity URL data ({ code, uses }) of a guild, or null when it has none / no access */
+  async function fetchVanity(guild) {
+    if (!guild.vanityURLCode) return null;
+    try {
+      const data = await guild.fetchVanityData();
+      return data && data.code ? { code: data.code, uses: Number(data.uses || 0) } : null;
+    } catch (e) {
+      log.warn('invites', 'failed to fetch vanity data', { guild_id: guild.id, error: e });
+      return null;
+    }
+  }
+  async function refreshVanityUses(guild) {
+    const vanity = await fetchVanity(guild);
+    if (vanity) vanityCache.set(guild.id, vanity.uses);
+    else vanityCache.delete(guild.id);
+    return vanity;
+  }
+  /**
+   * Catch up on a guild after downtime. Invite uses are compared with the stored snapshot, and
+   * members who joined after the last sync without being seen are recorded as 'unattributed'
+   * joins (source 'offline'), with the invites whose uses went up as candidates. They are never
+   * paid until an admin assigns them with /attribute.
+   */
+  async function reconcileGuild(guild) {
+    const stored = await loadInviteSnapshot(guild.id);
+    const fetched = await refreshGuildInvites(guild);
+    // first sync of this guild (nothing to compare with) or invites unavailable
+    if (!stored || !fetched) return;
+
+    const increased = [];
+    for (const inv of fetched.values()) {
+      const delta = (inv.uses || 0) - (stored.uses.get(inv.code) || 0);
+      if (delta > 0) increased.push({ code: inv.code, delta, inviterId: inv.inviter ? String(inv.inviter.id) : null });
+    }
+    const vanityUses = vanityCache.get(guild.id);
+    const vanityDelta = vanityUses != null && stored.vanityUses != null ? vanityUses - stored.vanityUses : 0;
+
+    const members = await guild.members.fetch().catch(e => {
+      log.warn('reconcile', 'failed to fetch members', { guild_id: guild.id, error: e });
+      return null;
+    });
+    const missed = [];
+    for (const member of (members ? members.values() : [])) {
+      if ((member.user && member.user.bot) || !member.joinedTimestamp || member.joinedTimestamp <= stored.syncedAt) continue;
+      const seen = await getMemberJoin(guild.id, member.id);
+      if (seen && Number(seen.last_joined_at) >= member.joinedTimestamp) continue;
+      missed.push(member);
+    }
+    if (missed.length === 0 && increased.length === 0 && vanityDelta <= 0) return;
+
+    // when a single invite (or only the vanity URL) got new uses, the missed joins came through it
+    let onlyCode = null;
+    if (increased.length === 1 && vanityDelta <= 0) onlyCode = increased[0].code;
+    else if (increased.length === 0 && vanityDelta > 0) onlyCode = guild.vanityURLCode || null;
+    const candidates = increased.length > 1 ? increased.map(i => i.code) : null;
+
+    const recorded = [];
+    for (const member of missed) {
+      await recordMemberJoin(guild.id, member.id, member.joinedTimestamp);
+      if (await addUnattributedJoinRecord(guild.id, member.id, 'offline', onlyCode, candidates, member.joinedTimestamp)) recorded.push(member.id);
+    }
+
+    const usesText = increased.map(i => `\`${i.code}\` +${i.delta}${i.inviterId ? ` (<@${i.inviterId}>)` : ''}`);
+    if (vanityDelta > 0) usesText.push(`vanity${guild.vanityURLCode ? ` \`${guild.vanityURLCode}\`` : ''} +${vanityDelta}`);
+    log.info('reconcile', 'joins missed while offline', { guild_id: guild.id, joins: recorded.length, new_invite_uses: usesText.join(', ') || 'none' });
+    if (recorded.length > 0) metrics.joinsUnattributed.inc({ source: 'offline' }, recorded.length);
+
+    const settings = await getGuildSettings(guild.id);
+    const lang = settings.language;
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'reconcile.title'))
+      .setDescription(t(lang, 'reconcile.description'))
+      .addFields(
+        { name: t(lang, 'reconcile.offlineSince'), value: `<t:${Math.floor(stored.syncedAt / 1000)}:f>`, inline: true },
+        { name: t(lang, 'reconcile.missedJoins'), value: String(recorded.length), inline: true },
+        { name: t(lang, 'reconcile.newUses'), value: (usesText.join('\n') || t(lang, 'reconcile.none')).slice(0, 1000), inline: false }
+      )
+      .setTimestamp();
+    if (recorded.length > 0) embed.addFields({ name: t(lang, 'reconcile.members'), value: formatMemberMentions(recorded, lang), inline: false });
+    await sendLogEmbed(settings.logChannelId, embed, 'reconcile');
+  }
+
+  /** Invite codes whose use count went up between two snapshots (Map<code, uses>) */
+  function diffInviteUses(oldMap, newMap) {
+    const increased = [];
+    for (const [code, uses] of newMap.entries()) {
+      if (uses > (oldMap.get(code) || 0)) increased.push(code);
+    }
+    return increased;
+  }
+
+  /**
+   * Slash command texts from the i18n catalog: the base text is in DEFAULT_LANGUAGE and Discord shows
+   * the localized one to users of the other languages
+   */
+  function describe(key) {
+    return { description: t(DEFAULT_LANGUAGE, key), description_localizations: localizations(key) };
+  }
+  function choice(key, value) {
+    return { name: t(DEFAULT_LANGUAGE, key), name_localizations: localizations(key), value };
+  }
+
+  /** Slash commands (commands/*.js), built with the helpers they use */
+  const commandRegistry = loadCommands({
+    describe, choice,
+    ANNOUNCE_EVENTS, CHECK_INTERVAL_MS, CLAWBACK_MODES, EXPORT_COLUMNS, HOUSE_OWNER, IMPORT_MAX_BYTES, NO_INVITER, RUNWAY_WINDOW_MS,
+    getLastPeriodicRun: () => lastPeriodicRun,
+    getGuildSettings, updateGuildRewardConfig, resetGuildRewardConfig, setLogChannel, clearLogChannel,
+    setAnnounceChannel, setAnnounceTemplate, getNotificationPrefs, setDmNotifications, getInviterTotalEarned,
+    API_PORT, rotateApiToken, revokeApiToken, getApiToken,
+    getInviterStats, getRejectedCountsByInviter, getMilestoneBonusTotal, getMembersByInviter, getLeaderboard,
+    getMilestoneTiers, upsertMilestoneTier, removeMilestoneTier, checkMilestones,
+    getJoinRecord, getMemberJoinCount, evaluateJoin, attributeJoin, countUnattributedJoins, getUnattributedJoins,
+    getInviteCodeOwners, setInviteCodeOwner, removeInviteCodeOwner,
+    canPay, getFundingBalance, countPendingPayments, getPaidAmountSince,
+    getPayoutBatch, getBlacklistEntry, addToBlacklist, removeFromBlacklist, rejectPendingForUser, resetInviterStats,
+    isPaymentInFlight, adminMarkPaid, adminMarkUnpaid, voidReward, requeuePayment, recordAdminAction,
+    getInviteRecordsForExport, toExportRecord, toCsv, parseCsv, normalizeImportRecord, evaluateImportedJoin, insertImportedRecord,
+    sendLogEmbed, catalogText, rejectReasonText, maskCard, msToDuration, msToMMSS, parseDateUTC, formatDateUTC, truncateDecimals
+  });
+
+  /** Events */
+  async function handleReady() {
+    log.info('discord', 'logged in', { user: client.user.tag });
+
+    // init invites cache for each guild, catching up on joins missed while offline
+    for (const [guildId, guild] of client.guilds.cache) {
+      try { await reconcileGuild(guild); } catch (e) {
+        log.warn('reconcile', 'reconcile failed', { guild_id: guildId, error: e });
+      }
+    }
+
+    // register slash commands: on DEV_GUILD_ID only (instant) while developing, else globally (up to an hour to show up)
+    const payloads = Array.from(commandRegistry.values()).map(toCommandPayload);
+    try {
+      if (DEV_GUILD_ID) {
+        await client.application.commands.set(payloads, DEV_GUILD_ID);
+        log.info('commands', 'commands registered on dev guild', { count: payloads.length, guild_id: DEV_GUILD_ID });
+      } else {
+        await client.application.commands.set(payloads);
+        log.info('commands', 'global commands registered', { count: payloads.length });
+      }
+    } catch (e) {
+      log.warn('commands', 'failed to register commands', { error: e });
+    }
+
+    // start periodic checker
+    if (shuttingDown) return;
+    periodicTimer = setInterval(() => {
+      periodicCheck().catch(e => log.error('scheduler', 'periodic failed', { error: e, stack: e && e.stack }));
+    }, CHECK_INTERVAL_MS);
+  }
+
+  /** Invite created / deleted updates cache */
+  async function handleInviteCreate(invite) {
+    try {
+      const guild = invite.guild;
+      if (!guild) return;
+      const map = invitesCache.get(guild.id) || new Map();
+      map.set(invite.code, invite.uses || 0);
+      invitesCache.set(guild.id, map);
+      await setStoredInviteUses(guild.id, invite.code, invite.uses || 0);
+    } catch (e) {}
+  }
+  async function handleInviteDelete(invite) {
+    try {
+      const guild = invite.guild;
+      if (!guild) return;
+      const map = invitesCache.get(guild.id) || new Map();
+      map.delete(invite.code);
+      invitesCache.set(guild.id, map);
+      await removeStoredInviteUses(guild.id, invite.code);
+    } catch (e) {}
+  }
+
+  /** Bot added to / removed from a guild */
+  async function handleGuildCreate(guild) {
+    try {
+      log.info('guild', 'joined guild', { guild_id: guild.id, name: guild.name });
+      await reconcileGuild(guild);
+    } catch (e) {
+      log.warn('guild', 'failed to init invites', { guild_id: guild.id, error: e });
+    }
+  }
+  async function handleGuildDelete(guild) {
+    // an outage is not a removal: the cache stays valid
+    if (guild.available === false) return;
+    try {
+      log.info('guild', 'removed from guild', { guild_id: guild.id });
+      invitesCache.delete(guild.id);
+      vanityCache.delete(guild.id);
+      // joins can't be tracked until the bot is back, so the next sync starts from scratch
+      await deleteInviteSnapshot(guild.id);
+    } catch (e) {
+      log.warn('guild', 'failed to clear invites', { guild_id: guild.id, error: e });
+    }
+  }
+
+  /** On member join -> determine invite used and record */
+  async function handleGuildMemberAdd(member) {
+    try {
+      const guild = member.guild;
+      const guildId = guild.id;
+      const previousJoins = await recordMemberJoin(guildId, member.user.id);
+
+      const fetched = await guild.invites.fetch();
+      const fetchedArr = Array.from(fetched.values());
+      const oldMap = invitesCache.get(guildId) || new Map();
+      const newMap = new Map();
+      for (const inv of fetchedArr) newMap.set(inv.code, inv.uses || 0);
+
+      // find invites with increased uses
+      const increased = diffInviteUses(oldMap, newMap);
+      invitesCache.set(guildId, newMap);
+
+      const oldVanityUses = vanityCache.get(guildId);
+      const vanity = await refreshVanityUses(guild);
+      await saveInviteSnapshot(guildId, newMap, vanity ? vanity.uses : null);
+
+      let used = null;
+      let source = 'unknown';
+      if (increased.length === 1) {
+        const inv = fetchedArr.find(i => i.code === increased[0]);
+        used = { code: increased[0], inviterId: inv && inv.inviter ? String(inv.inviter.id) : null, inviterIsBot: !!(inv && inv.inviter && inv.inviter.bot) };
+        source = 'invite';
+      } else if (increased.length === 0 && vanity && oldVanityUses != null && vanity.uses > oldVanityUses) {
+        source = 'vanity';
+      } else if (increased.length === 0 && guild.features && guild.features.includes('DISCOVERABLE')) {
+        // no invite or vanity use changed: the most likely entry point of a discoverable guild
+        source = 'discovery';
+      }
+
+      const settings = await getGuildSettings(guildId);
+
+      // an owner set with /invite-owner (works for the vanity code too) takes precedence over the invite's creator
+      const usedCode = used ? used.code : (source === 'vanity' ? vanity.code : null);
+      const ownerId = await resolveInviteCodeOwner(guildId, usedCode, settings);
+      if (ownerId) used = { code: usedCode, inviterId: String(ownerId), inviterIsBot: false };
+
+      if (!used || !used.inviterId) {
+        // vanity / discovery / invite without inviter (widget, integrations) / ambiguous / undetected
+        await addUnattributedJoinRecord(guildId, member.user.id, source, usedCode, increased.length > 1 ? increased : null);
+        log.info('join', 'unattributed join', { guild_id: guildId, joined_id: member.user.id, source, invite: usedCode || undefined, candidates: increased.length > 1 ? increased : undefined });
+        metrics.joinsUnattributed.inc({ source });
+        if (settings.logChannelId) {
+          const lang = settings.language;
+          const embed = new EmbedBuilder()
+            .setTitle(t(lang, 'join.unattributedTitle'))
+            .setDescription(t(lang, 'join.unattributedDescription'))
+            .addFields(
+              { name: t(lang, 'fields.newMember'), value: `<@${member.user.id}> (${member.user.id})`, inline: true },
+              { name: t(lang, 'fields.source'), value: catalogText(lang, 'joinSources', source), inline: true },
+              { name: t(lang, 'fields.invite'), value: usedCode || '(unknown)', inline: true }
+            )
+            .setTimestamp();
+          if (increased.length > 1) embed.addFields({ name: t(lang, 'join.possibleInvites'), value: increased.join(', '), inline: false });
+          await sendLogEmbed(settings.logChannelId, embed, 'join');
+        }
+        return;
+      }
+
+      const rejectReason = await evaluateJoin(guildId, settings, {
+        inviterId: used.inviterId,
+        inviterIsBot: used.inviterIsBot,
+        joinedId: member.user.id,
+        accountCreatedAt: member.user.createdTimestamp,
+        previousJoins
+      });
+
+      const inserted = await addPendingInviteRecord(guildId, used.code, used.inviterId, member.user.id, rejectReason, source);
+      if (rejectReason) {
+        log.info('join', 'rejected join', { guild_id: guildId, joined_id: member.user.id, inviter_id: used.inviterId, invite: used.code, reason: rejectReason, already_recorded: !inserted || undefined });
+      } else {
+        log.info('join', 'recorded join', { guild_id: guildId, joined_id: member.user.id, inviter_id: used.inviterId, invite: used.code });
+      }
+      if (inserted) metrics.joinsRecorded.inc({ result: rejectReason ? 'rejected' : 'accepted' });
+
+      // If guild has log channel configured, send a message about pending join
+      if (settings.logChannelId) {
+        const lang = settings.language;
+        const embed = new EmbedBuilder()
+          .setTitle(t(lang, 'join.title'))
+          .addFields(
+            { name: t(lang, 'fields.newMember'), value: `<@${member.user.id}> (${member.user.id})`, inline: true },
+            { name: t(lang, 'fields.inviter'), value: `<@${used.inviterId}> (${used.inviterId})${ownerId ? t(lang, 'join.inviteOwner') : ''}`, inline: true },
+            { name: t(lang, 'fields.invite'), value: used.code || '(unknown)', inline: true },
+            rejectReason
+              ? { name: t(lang, 'fields.status'), value: t(lang, 'common.rejected', { reason: rejectReasonText(lang, rejectReason) }), inline: true }
+              : { name: t(lang, 'join.estimatedReward'), value: settings.enabled ? String(truncateDecimals(Number(settings.worth), 8)) : t(lang, 'join.rewardsDisabled'), inline: true }
+          )
+          .setTimestamp();
+        if (!rejectReason) embed.addFields({ name: t(lang, 'fields.eligible'), value: `<t:${Math.floor((Date.now() + settings.minStayMs) / 1000)}:R>`, inline: true });
+        await sendLogEmbed(settings.logChannelId, embed, 'join');
+      }
+
+      // public announcement + opt-in DM to the inviter (only for joins that will be paid)
+      if (inserted && !rejectReason && settings.enabled) {
+        await notifyJoinRecorded(guild, settings, { inviterId: used.inviterId, memberId: member.user.id, code: used.code });
+      }
+    } catch (err) {
+      log.error('join', 'error detecting invite', { guild_id: member.guild && member.guild.id, joined_id: member.id, error: err });
+    }
+  }
+
+  /** On member leave -> cancel pending rewards / claw back recent ones */
+  async function handleGuildMemberRemove(member) {
+    try {
+      const guildId = member.guild.id;
+      const userId = member.id || (member.user && member.user.id);
+      if (!userId) return;
+      await handleMemberLeft(guildId, String(userId));
+    } catch (err) {
+      log.error('leave', 'error handling member leave', { guild_id: member.guild && member.guild.id, user_id: member.id, error: err });
+    }
+  }
+
+  /**
+   * Member left the guild:
+   *  - pending rows are deleted right away (no need to wait for the scheduler)
+   *  - a row paid inside the guild's clawback window becomes 'left' and, depending on
+   *    clawbackMode, is reversed through the API (reverse) or added to the inviter's debt (debit);
+   *    a failed reversal falls back to debit
+   */
+  async function handleMemberLeft(guildId, userId) {
+    const settings = await getGuildSettings(guildId);
+    const lang = settings.language;
+
+    const cancelled = await cancelPendingForMember(guildId, userId);
+    for (const row of cancelled) {
+      log.info('leave', 'member left, cancelled pending reward', { guild_id: guildId, user_id: userId, inviter_id: row.inviter_id });
+      const embed = new EmbedBuilder()
+        .setTitle(t(lang, 'leave.cancelledTitle'))
+        .setDescription(t(lang, 'leave.cancelledDescription'))
+        .addFields(
+          { name: t(lang, 'fields.member'), value: `<@${userId}> (${userId})`, inline: true },
+          { name: t(lang, 'fields.inviter'), value: `<@${row.inviter_id}> (${row.inviter_id})`, inline: true },
+          { name: t(lang, 'fields.invite'), value: row.invite_code || '(unknown)', inline: true }
+        )
+        .setTimestamp();
+      await sendLogEmbed(settings.logChannelId, embed, 'leave');
+    }
+
+    if (settings.clawbackWindowMs <= 0) return;
+    const paid = await getRecentlyPaidForMember(guildId, userId, Date.now() - settings.clawbackWindowMs);
+    if (!paid) return;
+
+    const amount = paid.amount != null ? paid.amount : settings.worth;
+    let outcome;
+    if (settings.clawbackMode === 'mark') {
+      await markLeft(paid.id, false, null);
+      outcome = t(lang, 'leave.marked');
+    } else {
+      let reversed = null;
+      if (settings.clawbackMode === 'reverse') {
+        if (paid.payment_tx && paid.payment_tx !== 'debit-offset' && canPay(settings)) {
+          try {
+            reversed = await getPaymentProvider(settings).reverse({
+              guildId, cardCode: settings.receiverCard, txId: paid.payment_tx, amount, idempotencyKey: `clawback-${paid.idempotency_key || paid.id}`
+            });
+          } catch (e) {
+            log.warn('leave', 'reverse transfer failed, debiting inviter instead', { guild_id: guildId, user_id: userId, error: e });
+          }
+        }
+      }
+      if (reversed) {
+        await markLeft(paid.id, true, reversed.txId || 'reversed');
+        outcome = t(lang, 'leave.reversed', { provider: catalogText(lang, 'providers', settings.paymentProvider), tx: reversed.txId || t(lang, 'common.noTxId') });
+      } else {
+        const debt = await adjustInviterDebt(guildId, paid.inviter_id, amount);
+        await markLeft(paid.id, true, 'debit');
+        outcome = t(lang, 'leave.debited', { debt });
+      }
+    }
+    log.info('leave', 'member left after being paid', { guild_id: guildId, user_id: userId, clawback_mode: settings.clawbackMode, outcome });
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'leave.clawbackTitle'))
+      .setDescription(t(lang, 'leave.clawbackDescription'))
+      .addFields(
+        { name: t(lang, 'fields.member'), value: `<@${userId}> (${userId})`, inline: true },
+        { name: t(lang, 'fields.inviter'), value: `<@${paid.inviter_id}> (${paid.inviter_id})`, inline: true },
+        { name: t(lang, 'fields.value'), value: String(truncateDecimals(Number(amount), 8)), inline: true },
+        { name: t(lang, 'fields.result'), value: outcome, inline: false }
+      )
+      .setTimestamp();
+    await sendLogEmbed(settings.logChannelId, embed, 'leave');
+  }
+
+  /** Ephemeral error answer for an interaction whose handler threw (followUp once it was deferred/replied) */
+  async function replyInteractionError(interaction, lang) {
+    const payload = { content: t(lang, 'common.commandFailed'), ephemeral: true };
+    try {
+      if (interaction.deferred || interaction.replied) await interaction.followUp(payload);
+      else await interaction.reply(payload);
+    } catch (e) {
+      log.warn('commands', 'failed to send the error reply', { error: e });
+    }
+  }
+
+  /** Interaction handler: slash commands and buttons are routed to the command modules in commands/ */
+  async function handleInteraction(interaction) {
+    if (interaction.isCommand()) {
+      const command = commandRegistry.get(interaction.commandName);
+      if (!command) return;
+      let lang = DEFAULT_LANGUAGE;
+      try {
+        lang = await replyLanguage(interaction);
+        if (!interaction.guild) return interaction.reply({ content: t(lang, 'common.guildOnly'), ephemeral: true });
+        if (!canRun(command, interaction.member)) return interaction.reply({ content: t(lang, 'common.notAdmin'), ephemeral: true });
+        await command.execute(interaction, lang);
+      } catch (e) {
+        log.warn('commands', 'failed to handle command', { command: interaction.commandName, guild_id: interaction.guild && interaction.guild.id, error: e });
+        await replyInteractionError(interaction, lang);
+      }
+      return;
+    }
+
+    if (interaction.isButton()) {
+      const command = Array.from(commandRegistry.values()).find(c => c.buttonPrefix && interaction.customId.startsWith(c.buttonPrefix));
+      if (!command) return;
+      let lang = DEFAULT_LANGUAGE;
+      try {
+        // the language follows who clicked
+        lang = await replyLanguage(interaction);
+        await command.handleButton(interaction, lang);
+      } catch (e) {
+        log.warn('buttons', 'failed to handle button', { custom_id: interaction.customId, error: e });
+        await replyInteractionError(interaction, lang);
+      }
+    }
+  }
+
+  /** HTTP API (read-only, see api/index.js); port 0 (tests) picks a free one */
+  function startApiServer(port = API_PORT, host = API_HOST) {
+    const server = createApiServer({
+      getApiTokenHash: async guildId => {
+        const token = await getApiToken(guildId);
+        return token ? token.hash : null;
+      },
+      getGuildName: guildId => {
+        const guild = client.guilds.cache.get(guildId);
+        return guild ? guild.name : null;
+      },
+      getUserName: userId => {
+        const user = client.users.cache.get(userId);
+        return user ? user.tag : null;
+      },
+      getHealth,
+      renderMetrics: metricsRegistry.render,
+      parseDateUTC, truncateDecimals, getGuildSettings, getGuildTotals, countPendingPayments, getPaidAmountSince,
+      getLeaderboard, getInviterStats, getMembersByInviter, getInviterTotalEarned, getPendingQueue, getPaymentFailures
+    });
+    server.on('error', e => log.error('api', 'server error', { error: e }));
+    server.listen(port, host, () => log.info('api', 'listening', { url: `http://${host}:${server.address().port}` }));
+    apiServer = server;
+    return server;
+  }
+
+  /**
+   * Health for GET /health: degraded when the gateway is down, the DB does not answer or no
+   * periodicCheck succeeded in the last 3 intervals (counted from the start before the first one)
+   */
+  async function getHealth() {
+    const now = Date.now();
+    let dbOk = false;
+    try {
+      await db.get(`SELECT 1`);
+      dbOk = true;
+    } catch (e) {
+      log.warn('health', 'database check failed', { error: e });
+    }
+    const gatewayReady = client.isReady();
+    const schedulerOk = now - (lastPeriodicSuccess || startedAt) < 3 * CHECK_INTERVAL_MS;
+    return {
+      status: gatewayReady && dbOk && schedulerOk && !shuttingDown ? 'ok' : 'degraded',
+      uptime_s: Math.floor((now - startedAt) / 1000),
+      shutting_down: shuttingDown,
+      discord: { ready: gatewayReady, ping_ms: gatewayReady ? client.ws.ping : null, guilds: client.guilds.cache.size },
+      database: { ok: dbOk },
+      scheduler: {
+        ok: schedulerOk,
+        running: periodicRunning,
+        interval_ms: CHECK_INTERVAL_MS,
+        last_run_at: lastPeriodicRun || null,
+        last_success_at: lastPeriodicSuccess || null
+      }
+    };
+  }
+
+  /** Graceful shutdown */
+
+  /**
+   * Stop taking new work, let the payout batch in flight finish (its transfer and DB writes),
+   * then close the HTTP server, the gateway and the DB
+   */
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log.info('shutdown', 'shutting down', { signal, payout_in_flight: periodicRunning });
+    clearInterval(periodicTimer);
+    // the pass in progress clears periodicRunning once its last transfer and DB write are done
+    while (periodicRunning) await new Promise(resolve => setTimeout(resolve, 100));
+    if (apiServer) {
+      const closed = new Promise(resolve => apiServer.close(resolve));
+      apiServer.closeIdleConnections();
+      await closed;
+    }
+    await client.destroy();
+    if (db) await db.close();
+  }
+
+  /** Start */
+
+  /** Open the DB, put back payments interrupted by a crash, start the HTTP API (API_PORT) and log in */
+  async function start() {
+    await initDb();
+    // nothing can be in flight before the first pass: anything left 'processing' is from a crash
+    await recoverStuckPayments(Date.now());
+    if (API_PORT) startApiServer();
+    await client.login(DISCORD_TOKEN);
+  }
+
+  /** Discord events */
+  client.once('ready', handleReady);
+  client.on('inviteCreate', handleInviteCreate);
+  client.on('inviteDelete', handleInviteDelete);
+  client.on('guildCreate', handleGuildCreate);
+  client.on('guildDelete', handleGuildDelete);
+  client.on('guildMemberAdd', handleGuildMemberAdd);
+  client.on('guildMemberRemove', handleGuildMemberRemove);
+  client.on('interactionCreate', handleInteraction);
+
+  return {
+    client,
+    metricsRegistry,
+    start,
+    shutdown,
+    initDb,
+    getDb: () => db,
+    handleReady,
+    handleGuildMemberAdd,
+    handleGuildMemberRemove,
+    handleInteraction,
+    periodicCheck,
+    reconcileGuild,
+    recoverStuckPayments,
+    diffInviteUses,
+    getGuildSettings,
+    updateGuildRewardConfig,
+    getHealth,
+    startApiServer
+  };
+}
+
+module.exports = { createBot };
@@ -0,0 +1,114 @@
+/**
+ * commands/announcements.js — /announcements: canal público de anúncios de invites e suas mensagens
+ */
+
+const { EmbedBuilder, PermissionsBitField } = require('discord.js');
+const { t, format } = require('../i18n');
+
+module.exports = function createAnnouncementsCommand({ describe, choice, ANNOUNCE_EVENTS, getGuildSettings, setAnnounceChannel, setAnnounceTemplate, getInviterTotalEarned, truncateDecimals }) {
+  /** Template of `event` filled with sample values taken from whoever ran the command */
+  async function previewTemplate(interaction, settings, event) {
+    const template = settings.announceTemplates[event] || t(settings.language, `announcements.defaults.${event}`);
+    return format(template, {
+      inviter: `<@${interaction.user.id}>`,
+      member: `<@${interaction.user.id}>`,
+      amount: truncateDecimals(Number(settings.worth), 8),
+      total: await getInviterTotalEarned(interaction.guild.id, interaction.user.id, settings.worth)
+    });
+  }
+
+  /** Handle /announcements
+   * usage:
+   *  - /announcements set channel:#anuncios
+   *  - /announcements clear
+   *  - /announcements template event:paid text:"{inviter} ganhou {amount} coins!"   (no text -> default message)
+   *  - /announcements show
+   */
+  async function handleAnnouncementsCommand(interaction, lang) {
+    const guild = interaction.guild;
+    const action = interaction.options.getSubcommand();
+
+    if (action === 'set') {
+      const channelOption = interaction.options.getChannel('channel');
+      const botPerms = channelOption.permissionsFor(guild.members.me);
+      if (!botPerms || !botPerms.has(PermissionsBitField.Flags.SendMessages)) {
+        return interaction.reply({ content: t(lang, 'log.noPermission'), ephemeral: true });
+      }
+      await setAnnounceChannel(guild.id, channelOption.id);
+      return interaction.reply({ content: t(lang, 'announcements.set', { channel: channelOption }), ephemeral: false });
+    }
+
+    if (action === 'clear') {
+      await setAnnounceChannel(guild.id, null);
+      return interaction.reply({ content: t(lang, 'announcements.cleared'), ephemeral: false });
+    }
+
+    if (action === 'template') {
+      const event = interaction.options.getString('event');
+      const text = interaction.options.getString('text');
+      // slash command options are a single line: a literal \n becomes a line break
+      const template = text && text.trim() ? text.trim().replace(/\\n/g, '\n') : null;
+      await setAnnounceTemplate(guild.id, event, template);
+      const settings = await getGuildSettings(guild.id);
+      return interaction.reply({
+        content: t(lang, template ? 'announcements.templateSet' : 'announcements.templateReset', {
+          event: t(lang, `announcements.events.${event}`), preview: await previewTemplate(interaction, settings, event)
+        }),
+        allowedMentions: { parse: [] },
+        ephemeral: true
+      });
+    }
+
+    const settings = await getGuildSettings(guild.id);
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'announcements.title'))
+      .addFields({ name: t(lang, 'announcements.channel'), value: settings.announceChannelId ? `<#${settings.announceChannelId}>` : t(lang, 'announcements.off'), inline: false })
+      .setFooter({ text: t(lang, 'announcements.placeholders') })
+      .setTimestamp();
+    for (const event of ANNOUNCE_EVENTS) {
+      embed.addFields({
+        name: t(lang, settings.announceTemplates[event] ? 'announcements.custom' : 'announcements.default', { event: t(lang, `announcements.events.${event}`) }),
+        value: (await previewTemplate(interaction, settings, event)).slice(0, 1000),
+        inline: false
+      });
+    }
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  return {
+    data: {
+      name: 'announcements',
+      ...describe('commands.announcements.description'),
+      options: [
+        {
+          name: 'set',
+          ...describe('commands.announcements.set'),
+          type: 1, // SUB_COMMAND
+          options: [
+            // text and announcement channels
+            { name: 'channel', ...describe('commands.announcements.channel'), type: 7, required: true, channel_types: [0, 5] } // CHANNEL
+          ]
+        },
+        { name: 'clear', ...describe('commands.announcements.clear'), type: 1 }, // SUB_COMMAND
+        {
+          name: 'template',
+          ...describe('commands.announcements.template'),
+          type: 1, // SUB_COMMAND
+          options: [
+            {
+              name: 'event',
+              ...describe('commands.announcements.event'),
+              type: 3, // STRING
+              required: true,
+              choices: ANNOUNCE_EVENTS.map(v => choice(`announcements.events.${v}`, v))
+            },
+            { name: 'text', ...describe('commands.announcements.text'), type: 3, required: false, max_length: 1000 } // STRING
+          ]
+        },
+        { name: 'show', ...describe('commands.announcements.show'), type: 1 } // SUB_COMMAND
+      ]
+    },
+    adminOnly: true,
+    execute: handleAnnouncementsCommand
+  };
+};
@@ -0,0 +1,54 @@
+/**
+ * commands/api-token.js — /api-token: token de acesso da guild à API HTTP e ao dashboard
+ */
+
+const { t } = require('../i18n');
+
+module.exports = function createApiTokenCommand({ describe, API_PORT, rotateApiToken, revokeApiToken, getApiToken }) {
+  /** Handle /api-token
+   * usage:
+   *  - /api-token create -> new token (shown once, the previous one stops working)
+   *  - /api-token revoke -> remove the token
+   *  - /api-token status -> whether there is a token and since when
+   */
+  async function handleApiTokenCommand(interaction, lang) {
+    const guild = interaction.guild;
+    const action = interaction.options.getSubcommand();
+    // the reply works without the API, but the token is useless until API_PORT is set
+    const disabled = API_PORT ? '' : t(lang, 'apiToken.apiDisabled');
+
+    if (action === 'create') {
+      const token = await rotateApiToken(guild.id);
+      return interaction.reply({
+        content: t(lang, 'apiToken.created', { token, guild: guild.id }) + disabled,
+        ephemeral: true
+      });
+    }
+
+    if (action === 'revoke') {
+      const revoked = await revokeApiToken(guild.id);
+      return interaction.reply({ content: t(lang, revoked ? 'apiToken.revoked' : 'apiToken.none'), ephemeral: true });
+    }
+
+    const token = await getApiToken(guild.id);
+    if (!token) return interaction.reply({ content: t(lang, 'apiToken.none') + disabled, ephemeral: true });
+    return interaction.reply({
+      content: t(lang, 'apiToken.status', { time: Math.floor(token.createdAt / 1000) }) + disabled,
+      ephemeral: true
+    });
+  }
+
+  return {
+    data: {
+      name: 'api-token',
+      ...describe('commands.apiToken.description'),
+      options: [
+        { name: 'create', ...describe('commands.apiToken.create'), type: 1 }, // SUB_COMMAND
+        { name: 'revoke', ...describe('commands.apiToken.revoke'), type: 1 }, // SUB_COMMAND
+        { name: 'status', ...describe('commands.apiToken.status'), type: 1 } // SUB_COMMAND
+      ]
+    },
+    adminOnly: true,
+    execute: handleApiTokenCommand
+  };
+};
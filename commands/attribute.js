@@ -0,0 +1,76 @@
+/**
+ * commands/attribute.js — /attribute: atribui um inviter a um join sem inviter (vanity, discovery, desconhecido)
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+const log = require('../monitoring/logger');
+
+module.exports = function createAttributeCommand({ describe, getGuildSettings, getJoinRecord, getMemberJoinCount, evaluateJoin, attributeJoin, sendLogEmbed, catalogText, rejectReasonText }) {
+  /** Handle /attribute
+   * Gives an unattributed join (vanity / discovery / unknown) an inviter. The usual anti-abuse
+   * rules are evaluated as if the member had joined through the inviter's invite, and the hold
+   * period keeps counting from the original joined_at.
+   */
+  async function handleAttributeCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const joined = interaction.options.getUser('member');
+    const inviter = interaction.options.getUser('inviter');
+    const inviteCode = interaction.options.getString('invite');
+
+    const record = await getJoinRecord(guildId, joined.id);
+    if (!record) return interaction.reply({ content: t(lang, 'attribute.noRecord', { user: joined.id }), ephemeral: true });
+    if (record.status !== 'unattributed') {
+      return interaction.reply({ content: t(lang, 'attribute.alreadyAttributed', { user: joined.id, inviter: record.inviter_id }), ephemeral: true });
+    }
+
+    const settings = await getGuildSettings(guildId);
+    const joinCount = await getMemberJoinCount(guildId, joined.id);
+    const rejectReason = await evaluateJoin(guildId, settings, {
+      inviterId: inviter.id,
+      inviterIsBot: !!inviter.bot,
+      joinedId: joined.id,
+      accountCreatedAt: joined.createdTimestamp,
+      previousJoins: Math.max(0, joinCount - 1)
+    });
+    const updated = await attributeJoin(guildId, joined.id, inviter.id, inviteCode ? inviteCode.trim() : null, rejectReason);
+    if (!updated) return interaction.reply({ content: t(lang, 'attribute.failed'), ephemeral: true });
+    log.info('attribute', 'join attributed', { guild_id: guildId, admin_id: interaction.user.id, joined_id: joined.id, inviter_id: inviter.id, rejected: rejectReason || undefined });
+
+    const logLang = settings.language;
+    const embed = new EmbedBuilder()
+      .setTitle(t(logLang, 'attribute.title'))
+      .addFields(
+        { name: t(logLang, 'fields.member'), value: `<@${joined.id}> (${joined.id})`, inline: true },
+        { name: t(logLang, 'fields.inviter'), value: `<@${inviter.id}> (${inviter.id})`, inline: true },
+        { name: t(logLang, 'fields.source'), value: catalogText(logLang, 'joinSources', record.source), inline: true },
+        { name: t(logLang, 'fields.by'), value: `<@${interaction.user.id}>`, inline: true },
+        rejectReason
+          ? { name: t(logLang, 'fields.status'), value: t(logLang, 'common.rejected', { reason: rejectReasonText(logLang, rejectReason) }), inline: true }
+          : { name: t(logLang, 'fields.eligible'), value: `<t:${Math.floor((Number(record.joined_at) + settings.minStayMs) / 1000)}:R>`, inline: true }
+      )
+      .setTimestamp();
+    await sendLogEmbed(settings.logChannelId, embed, 'attribute');
+
+    return interaction.reply({
+      content: rejectReason
+        ? t(lang, 'attribute.doneRejected', { user: joined.id, inviter: inviter.id, reason: rejectReasonText(lang, rejectReason) })
+        : t(lang, 'attribute.done', { user: joined.id, inviter: inviter.id }),
+      ephemeral: true
+    });
+  }
+
+  return {
+    data: {
+      name: 'attribute',
+      ...describe('commands.attribute.description'),
+      options: [
+        { name: 'member', ...describe('commands.attribute.member'), type: 6, required: true }, // USER
+        { name: 'inviter', ...describe('commands.attribute.inviter'), type: 6, required: true }, // USER
+        { name: 'invite', ...describe('commands.attribute.invite'), type: 3, required: false } // STRING
+      ]
+    },
+    adminOnly: true,
+    execute: handleAttributeCommand
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * commands/balance.js — /balance: saldo do card de pagamento, rewards pendentes e autonomia
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createBalanceCommand({ describe, RUNWAY_WINDOW_MS, getGuildSettings, canPay, getFundingBalance, countPendingPayments, getPaidAmountSince, catalogText, maskCard, truncateDecimals }) {
+  /** Handle /balance */
+  async function handleBalanceCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    // the balance API can be slow
+    await interaction.deferReply({ ephemeral: true });
+
+    const settings = await getGuildSettings(guildId);
+    const balance = canPay(settings) ? await getFundingBalance(guildId, settings) : undefined;
+    const pendingCount = await countPendingPayments(guildId);
+    const liability = truncateDecimals(pendingCount * Number(settings.worth), 8);
+    const spent = await getPaidAmountSince(guildId, Date.now() - RUNWAY_WINDOW_MS, settings.worth);
+    const dailyRate = spent / (RUNWAY_WINDOW_MS / (24 * 60 * 60 * 1000));
+
+    let balanceText;
+    let runwayText;
+    const providerText = catalogText(lang, 'providers', settings.paymentProvider);
+    if (balance === null) {
+      balanceText = t(lang, 'balance.unlimited', { provider: providerText });
+      runwayText = t(lang, 'balance.runwayUnlimited');
+    } else if (balance === undefined) {
+      balanceText = t(lang, canPay(settings) ? 'balance.unavailable' : 'balance.noCard');
+      runwayText = '-';
+    } else {
+      balanceText = String(truncateDecimals(balance, 8));
+      runwayText = dailyRate > 0
+        ? t(lang, 'balance.runwayDays', { days: (balance / dailyRate).toFixed(1), rate: truncateDecimals(dailyRate, 8) })
+        : t(lang, 'balance.noRecentPayments');
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'balance.title'))
+      .addFields(
+        { name: t(lang, 'fields.payment'), value: providerText, inline: true },
+        { name: t(lang, 'fields.card'), value: maskCard(settings.receiverCard, lang), inline: true },
+        { name: t(lang, 'fields.balance'), value: balanceText, inline: true },
+        { name: t(lang, 'fields.pending'), value: `${pendingCount} × ${truncateDecimals(Number(settings.worth), 8)} = ${liability}`, inline: true },
+        { name: t(lang, 'balance.paidLastWeek'), value: String(truncateDecimals(spent, 8)), inline: true },
+        { name: t(lang, 'balance.runway'), value: runwayText, inline: true }
+      )
+      .setTimestamp();
+    if (typeof balance === 'number' && balance < liability) {
+      embed.setDescription(t(lang, 'balance.belowQueue'));
+    }
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  return {
+    data: {
+      name: 'balance',
+      ...describe('commands.balance.description')
+    },
+    adminOnly: true,
+    execute: handleBalanceCommand
+  };
+};
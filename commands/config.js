@@ -0,0 +1,146 @@
+/**
+ * commands/config.js — /config: configurações de rewards desta guild (valores padrão vêm do .env)
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t, LANGUAGES } = require('../i18n');
+const { PAYMENT_PROVIDERS } = require('../payments');
+
+module.exports = function createConfigCommand({ describe, choice, CLAWBACK_MODES, getGuildSettings, updateGuildRewardConfig, resetGuildRewardConfig, catalogText, maskCard, msToDuration, truncateDecimals }) {
+  /** Handle /config
+   * usage:
+   *  - /config show                         -> show current settings
+   *  - /config set worth:0.0001 min_stay:60 -> change only the given settings
+   *  - /config reset                        -> back to the .env defaults
+   */
+  async function handleConfigCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const action = interaction.options.getSubcommand();
+
+    const worthOption = interaction.options.getString('worth');
+    const cardOption = interaction.options.getString('card');
+    const minStayOption = interaction.options.getInteger('min_stay');
+    const enabledOption = interaction.options.getBoolean('enabled');
+    const minAccountAgeOption = interaction.options.getInteger('min_account_age');
+    const dailyCapOption = interaction.options.getInteger('daily_cap');
+    const allowRejoinsOption = interaction.options.getBoolean('allow_rejoins');
+    const clawbackWindowOption = interaction.options.getInteger('clawback_window');
+    const clawbackModeOption = interaction.options.getString('clawback_mode');
+    const houseAccountOption = interaction.options.getUser('house_account');
+    const providerOption = interaction.options.getString('provider');
+    const lowBalanceOption = interaction.options.getString('low_balance');
+    const languageOption = interaction.options.getString('language');
+
+    if (action === 'reset') {
+      await resetGuildRewardConfig(guildId);
+    } else if (action === 'set') {
+      const fields = {};
+      if (worthOption !== null) {
+        // truncated first: a value below 1e-8 would be stored as 0 and make every reward zero
+        const worth = truncateDecimals(Number(worthOption.trim().replace(',', '.')), 8);
+        if (!Number.isFinite(worth) || worth <= 0) {
+          return interaction.reply({ content: t(lang, 'config.invalidWorth'), ephemeral: true });
+        }
+        fields.worth = String(worth);
+      }
+      if (cardOption !== null) fields.receiver_card = cardOption.trim();
+      if (minStayOption !== null) fields.min_stay_ms = minStayOption * 60 * 1000;
+      if (enabledOption !== null) fields.enabled = enabledOption ? 1 : 0;
+      if (minAccountAgeOption !== null) fields.min_account_age_ms = minAccountAgeOption * 24 * 60 * 60 * 1000;
+      if (dailyCapOption !== null) fields.daily_cap = dailyCapOption;
+      if (allowRejoinsOption !== null) fields.allow_rejoins = allowRejoinsOption ? 1 : 0;
+      if (clawbackWindowOption !== null) fields.clawback_window_ms = clawbackWindowOption * 60 * 60 * 1000;
+      if (clawbackModeOption !== null && CLAWBACK_MODES.includes(clawbackModeOption)) fields.clawback_mode = clawbackModeOption;
+      if (houseAccountOption) fields.house_account_id = houseAccountOption.id;
+      if (providerOption !== null && PAYMENT_PROVIDERS.includes(providerOption)) fields.payment_provider = providerOption;
+      if (lowBalanceOption !== null) {
+        const threshold = Number(lowBalanceOption.trim().replace(',', '.'));
+        if (!Number.isFinite(threshold) || threshold < 0) {
+          return interaction.reply({ content: t(lang, 'config.invalidLowBalance'), ephemeral: true });
+        }
+        fields.low_balance_threshold = String(truncateDecimals(threshold, 8));
+      }
+      if (languageOption !== null && LANGUAGES.includes(languageOption)) fields.language = languageOption;
+      await updateGuildRewardConfig(guildId, fields);
+    }
+
+    const settings = await getGuildSettings(guildId);
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'config.title'))
+      .addFields(
+        { name: t(lang, 'config.rewards'), value: t(lang, settings.enabled ? 'config.enabled' : 'config.disabled'), inline: true },
+        { name: t(lang, 'config.worth'), value: String(truncateDecimals(Number(settings.worth), 8)), inline: true },
+        { name: t(lang, 'fields.payment'), value: catalogText(lang, 'providers', settings.paymentProvider), inline: true },
+        { name: t(lang, 'fields.card'), value: maskCard(settings.receiverCard, lang), inline: true },
+        { name: t(lang, 'config.minStay'), value: settings.minStayMs > 0 ? msToDuration(settings.minStayMs) : t(lang, 'config.none'), inline: true },
+        { name: t(lang, 'config.logChannel'), value: settings.logChannelId ? `<#${settings.logChannelId}>` : t(lang, 'common.none'), inline: true },
+        { name: t(lang, 'config.minAccountAge'), value: settings.minAccountAgeMs > 0 ? msToDuration(settings.minAccountAgeMs) : t(lang, 'config.noneFem'), inline: true },
+        { name: t(lang, 'config.dailyCap'), value: settings.dailyCap > 0 ? String(settings.dailyCap) : t(lang, 'config.noLimit'), inline: true },
+        { name: t(lang, 'config.rejoins'), value: t(lang, settings.allowRejoins ? 'config.rejoinsCount' : 'config.rejoinsRejected'), inline: true },
+        {
+          name: t(lang, 'config.clawback'),
+          value: settings.clawbackWindowMs > 0 ? `${msToDuration(settings.clawbackWindowMs)} (${catalogText(lang, 'clawbackModes', settings.clawbackMode)})` : t(lang, 'config.off'),
+          inline: true
+        },
+        { name: t(lang, 'config.houseAccount'), value: settings.houseAccountId ? `<@${settings.houseAccountId}>` : t(lang, 'common.noneFem'), inline: true },
+        { name: t(lang, 'config.lowBalance'), value: settings.lowBalanceThreshold > 0 ? t(lang, 'config.lowBalanceBelow', { value: settings.lowBalanceThreshold }) : t(lang, 'config.lowBalanceQueue'), inline: true },
+        { name: t(lang, 'config.language'), value: t(settings.language, 'languageName'), inline: true }
+      )
+      .setTimestamp();
+
+    // ephemeral: the reply mentions the paying card
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  return {
+    data: {
+      name: 'config',
+      ...describe('commands.config.description'),
+      options: [
+        { name: 'show', ...describe('commands.config.show'), type: 1 }, // SUB_COMMAND
+        {
+          name: 'set',
+          ...describe('commands.config.set'),
+          type: 1, // SUB_COMMAND
+          options: [
+            { name: 'worth', ...describe('commands.config.worth'), type: 3, required: false }, // STRING
+            { name: 'card', ...describe('commands.config.card'), type: 3, required: false }, // STRING
+            { name: 'min_stay', ...describe('commands.config.minStay'), type: 4, required: false, min_value: 0 }, // INTEGER
+            { name: 'enabled', ...describe('commands.config.enabled'), type: 5, required: false }, // BOOLEAN
+            { name: 'min_account_age', ...describe('commands.config.minAccountAge'), type: 4, required: false, min_value: 0 }, // INTEGER
+            { name: 'daily_cap', ...describe('commands.config.dailyCap'), type: 4, required: false, min_value: 0 }, // INTEGER
+            { name: 'allow_rejoins', ...describe('commands.config.allowRejoins'), type: 5, required: false }, // BOOLEAN
+            { name: 'clawback_window', ...describe('commands.config.clawbackWindow'), type: 4, required: false, min_value: 0 }, // INTEGER
+            {
+              name: 'clawback_mode',
+              ...describe('commands.config.clawbackMode'),
+              type: 3, // STRING
+              required: false,
+              choices: CLAWBACK_MODES.map(v => choice(`clawbackModes.${v}`, v))
+            },
+            {
+              name: 'provider',
+              ...describe('commands.config.provider'),
+              type: 3, // STRING
+              required: false,
+              choices: PAYMENT_PROVIDERS.map(v => choice(`commands.config.providers.${v}`, v))
+            },
+            { name: 'house_account', ...describe('commands.config.houseAccount'), type: 6, required: false }, // USER
+            { name: 'low_balance', ...describe('commands.config.lowBalance'), type: 3, required: false }, // STRING
+            {
+              name: 'language',
+              ...describe('commands.config.language'),
+              type: 3, // STRING
+              required: false,
+              // each language is listed by its own name
+              choices: LANGUAGES.map(l => ({ name: t(l, 'languageName'), value: l }))
+            }
+          ]
+        },
+        { name: 'reset', ...describe('commands.config.reset'), type: 1 } // SUB_COMMAND
+      ]
+    },
+    adminOnly: true,
+    execute: handleConfigCommand
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * commands/export.js — /export: registros de invites da guild em CSV ou JSON
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const { t } = require('../i18n');
+const log = require('../monitoring/logger');
+
+module.exports = function createExportCommand({ describe, EXPORT_COLUMNS, getInviteRecordsForExport, toExportRecord, toCsv, parseDateUTC, formatDateUTC }) {
+  /** Handle /export: invite records of the guild as a CSV / JSON attachment */
+  async function handleExportCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const format = interaction.options.getString('format') || 'csv';
+    const fromOption = interaction.options.getString('from');
+    const toOption = interaction.options.getString('to');
+    const inviter = interaction.options.getUser('inviter');
+
+    const from = fromOption ? parseDateUTC(fromOption) : null;
+    const to = toOption ? parseDateUTC(toOption) : null;
+    if ((fromOption && from == null) || (toOption && to == null)) {
+      return interaction.reply({ content: t(lang, 'export.invalidDates'), ephemeral: true });
+    }
+    // 'to' is inclusive: up to the end of that day
+    const toExclusive = to != null ? to + 24 * 60 * 60 * 1000 : null;
+    if (from != null && toExclusive != null && from >= toExclusive) {
+      return interaction.reply({ content: t(lang, 'export.fromAfterTo'), ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const rows = await getInviteRecordsForExport(guildId, { from, to: toExclusive, inviterId: inviter ? inviter.id : null });
+    const records = rows.map(toExportRecord);
+    const body = format === 'json'
+      ? JSON.stringify({
+        guild_id: guildId,
+        exported_at: new Date().toISOString(),
+        filters: { from: fromOption || null, to: toOption || null, inviter_id: inviter ? inviter.id : null },
+        records
+      }, null, 2)
+      : toCsv(records, EXPORT_COLUMNS);
+    const name = `invites-${guildId}-${formatDateUTC(Date.now())}.${format}`;
+    log.info('export', 'records exported', { guild_id: guildId, admin_id: interaction.user.id, records: records.length, format });
+
+    const filters = [];
+    if (fromOption || toOption) filters.push(t(lang, 'export.range', { from: fromOption || t(lang, 'export.start'), to: toOption || t(lang, 'export.today') }));
+    if (inviter) filters.push(t(lang, 'export.inviter', { user: inviter.id }));
+    return interaction.editReply({
+      content: t(lang, 'export.done', { count: records.length, filters: filters.length ? ` (${filters.join(', ')})` : '' }),
+      files: [new AttachmentBuilder(Buffer.from(body, 'utf8'), { name })]
+    });
+  }
+
+  return {
+    data: {
+      name: 'export',
+      ...describe('commands.export.description'),
+      options: [
+        {
+          name: 'format',
+          ...describe('commands.export.format'),
+          type: 3, // STRING
+          required: false,
+          choices: [
+            { name: 'CSV', value: 'csv' },
+            { name: 'JSON', value: 'json' }
+          ]
+        },
+        { name: 'from', ...describe('commands.export.from'), type: 3, required: false }, // STRING
+        { name: 'to', ...describe('commands.export.to'), type: 3, required: false }, // STRING
+        { name: 'inviter', ...describe('commands.export.inviter'), type: 6, required: false } // USER
+      ]
+    },
+    adminOnly: true,
+    execute: handleExportCommand
+  };
+};
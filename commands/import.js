@@ -0,0 +1,113 @@
+/**
+ * commands/import.js — /import: carrega registros de um /export ou de outro tracker sem pagar de novo
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+const log = require('../monitoring/logger');
+
+module.exports = function createImportCommand({
+  describe, IMPORT_MAX_BYTES, getGuildSettings, parseCsv, normalizeImportRecord, evaluateImportedJoin, insertImportedRecord, sendLogEmbed
+}) {
+  /**
+   * Handle /import: load records from an /export file or another tracker (CSV with a header line,
+   * or JSON: an array of records or { records: [...] }). Members the guild already has a record
+   * for are skipped, so nothing is paid twice. With pay_pending, unpaid records go through the
+   * same anti-abuse rules as live joins and come in as rejected when they fail them.
+   */
+  async function handleImportCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const file = interaction.options.getAttachment('file');
+    const payPending = interaction.options.getBoolean('pay_pending') || false;
+    if (!file) return interaction.reply({ content: t(lang, 'import.needFile'), ephemeral: true });
+    if (file.size > IMPORT_MAX_BYTES) {
+      return interaction.reply({ content: t(lang, 'import.tooLarge', { max: IMPORT_MAX_BYTES / 1024 / 1024 }), ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    let records;
+    try {
+      const resp = await fetch(file.url);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const text = (await resp.text()).replace(/^\uFEFF/, '');
+      const isJson = /\.json$/i.test(file.name || '') || /^\s*[[{]/.test(text);
+      if (isJson) {
+        const parsed = JSON.parse(text);
+        records = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.records) ? parsed.records : null);
+        if (!records) throw new Error(t(lang, 'import.noRecords'));
+      } else {
+        records = parseCsv(text);
+      }
+    } catch (e) {
+      log.warn('import', 'failed to read file', { guild_id: guildId, error: e });
+      return interaction.editReply({ content: t(lang, 'import.readFailed', { error: e && e.message ? e.message : e }) });
+    }
+
+    const settings = await getGuildSettings(guildId);
+    // inviter lookups shared by every record of this file
+    const users = new Map();
+    let inserted = 0;
+    let skipped = 0;
+    let rejected = 0;
+    // { line, field } for unusable records, { line, error } for failed inserts
+    const invalid = [];
+    for (let i = 0; i < records.length; i++) {
+      const row = normalizeImportRecord(records[i] || {}, payPending);
+      if (row.error) {
+        invalid.push({ line: i + 1, field: row.error });
+        continue;
+      }
+      try {
+        const rejectReason = row.status === 'pending' ? await evaluateImportedJoin(guildId, settings, row, users) : null;
+        if (rejectReason) Object.assign(row, { status: 'rejected', reject_reason: rejectReason });
+        if (await insertImportedRecord(guildId, row)) {
+          inserted++;
+          if (rejectReason) rejected++;
+        } else {
+          skipped++;
+        }
+      } catch (e) {
+        invalid.push({ line: i + 1, error: e && e.message ? e.message : String(e) });
+      }
+    }
+    log.info('import', 'records imported', { guild_id: guildId, admin_id: interaction.user.id, inserted, skipped, rejected, invalid: invalid.length, file: file.name });
+
+    const buildEmbed = embedLang => {
+      const embed = new EmbedBuilder()
+        .setTitle(t(embedLang, 'import.title'))
+        .addFields(
+          { name: t(embedLang, 'import.file'), value: file.name || t(embedLang, 'import.noName'), inline: true },
+          { name: t(embedLang, 'import.imported'), value: String(inserted), inline: true },
+          { name: t(embedLang, 'import.skipped'), value: String(skipped), inline: true },
+          { name: t(embedLang, 'import.invalid'), value: String(invalid.length), inline: true },
+          { name: t(embedLang, 'import.unpaid'), value: t(embedLang, payPending ? 'import.unpaidPay' : 'import.unpaidHistory'), inline: true },
+          { name: t(embedLang, 'fields.by'), value: `<@${interaction.user.id}>`, inline: true }
+        )
+        .setTimestamp();
+      if (payPending) embed.addFields({ name: t(embedLang, 'import.rejected'), value: String(rejected), inline: true });
+      if (invalid.length > 0) {
+        const lines = invalid.slice(0, 10).map(inv => t(embedLang, 'import.line', {
+          line: inv.line, error: inv.field ? t(embedLang, 'import.invalidField', { field: inv.field }) : inv.error
+        }));
+        if (invalid.length > 10) lines.push(t(embedLang, 'import.more', { count: invalid.length - 10 }));
+        embed.addFields({ name: t(embedLang, 'import.errors'), value: lines.join('\n'), inline: false });
+      }
+      return embed;
+    };
+    await sendLogEmbed(settings.logChannelId, buildEmbed(settings.language), 'import');
+    return interaction.editReply({ embeds: [buildEmbed(lang)] });
+  }
+
+  return {
+    data: {
+      name: 'import',
+      ...describe('commands.import.description'),
+      options: [
+        { name: 'file', ...describe('commands.import.file'), type: 11, required: true }, // ATTACHMENT
+        { name: 'pay_pending', ...describe('commands.import.payPending'), type: 5, required: false } // BOOLEAN
+      ]
+    },
+    adminOnly: true,
+    execute: handleImportCommand
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * commands/index.js — registro dos slash commands
+ *
+ * Cada arquivo desta pasta é um comando: exporta uma factory que recebe as dependências do bot
+ * (helpers de banco, describe/choice, ...) e devolve:
+ * - data: definição do comando (nome, descrição, opções/subcomandos) enviada ao Discord
+ * - adminOnly: true para comandos de admin (escondidos de quem não tem Gerenciar Servidor)
+ * - execute(interaction, lang): tratamento do comando; lang é o idioma da resposta
+ * - buttonPrefix / handleButton(interaction, lang): opcional, botões cujo customId começa com o prefixo
+ *
+ * Para adicionar um comando basta criar o arquivo: ele é registrado e despachado automaticamente.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PermissionsBitField } = require('discord.js');
+
+/** Map name -> command of every module in this directory */
+function loadCommands(deps) {
+  const commands = new Map();
+  const files = fs.readdirSync(__dirname).filter(f => f.endsWith('.js') && f !== 'index.js').sort();
+  for (const file of files) {
+    const command = require(path.join(__dirname, file))(deps);
+    if (!command || !command.data || !command.data.name || typeof command.execute !== 'function') {
+      throw new Error(`commands/${file} does not export a valid command`);
+    }
+    if (commands.has(command.data.name)) throw new Error(`duplicate command name: ${command.data.name}`);
+    commands.set(command.data.name, command);
+  }
+  return commands;
+}
+
+/** Payload for client.application.commands.set: admin commands need Manage Server, none work in DMs */
+function toCommandPayload(command) {
+  return {
+    ...command.data,
+    default_member_permissions: command.adminOnly ? String(PermissionsBitField.Flags.ManageGuild) : null,
+    dm_permission: false
+  };
+}
+
+/**
+ * Server owners can still grant an admin command to other roles (Server Settings > Integrations),
+ * so the permission is checked again before running it
+ */
+function canRun(command, member) {
+  if (!command.adminOnly) return true;
+  if (!member || !member.permissions) return false;
+  return member.permissions.has(PermissionsBitField.Flags.ManageGuild) || member.permissions.has(PermissionsBitField.Flags.Administrator);
+}
+
+module.exports = { loadCommands, toCommandPayload, canRun };
@@ -0,0 +1,173 @@
+/**
+ * commands/invite-admin.js — /invite-admin: moderação dos registros de invite (pagamentos, blacklist, zerar)
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+const log = require('../monitoring/logger');
+
+module.exports = function createInviteAdminCommand({
+  describe, NO_INVITER, getGuildSettings, getJoinRecord, getPayoutBatch, getBlacklistEntry, addToBlacklist, removeFromBlacklist,
+  rejectPendingForUser, resetInviterStats, isPaymentInFlight, adminMarkPaid, adminMarkUnpaid, voidReward, requeuePayment,
+  checkMilestones, recordAdminAction, sendLogEmbed, catalogText, rejectReasonText, truncateDecimals
+}) {
+  /** Embed with every field of a join record (/invite-admin view) */
+  async function buildJoinRecordEmbed(guildId, row, lang) {
+    const time = ms => (ms ? `<t:${Math.floor(Number(ms) / 1000)}:f>` : '-');
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'admin.recordTitle', { id: row.id }))
+      .addFields(
+        { name: t(lang, 'fields.member'), value: `<@${row.joined_id}> (${row.joined_id})`, inline: true },
+        { name: t(lang, 'fields.inviter'), value: row.inviter_id === NO_INVITER ? t(lang, 'admin.noInviter') : `<@${row.inviter_id}> (${row.inviter_id})`, inline: true },
+        { name: t(lang, 'fields.invite'), value: row.invite_code || '(unknown)', inline: true },
+        { name: t(lang, 'fields.source'), value: row.source ? catalogText(lang, 'joinSources', row.source) : '-', inline: true },
+        { name: t(lang, 'fields.status'), value: `${catalogText(lang, 'rewardStatuses', row.status)}${row.status === 'rejected' ? ` (${rejectReasonText(lang, row.reject_reason)})` : ''}`, inline: true },
+        { name: t(lang, 'admin.joined'), value: time(row.joined_at), inline: true },
+        {
+          name: t(lang, 'admin.paid'),
+          value: Number(row.paid) === 1 ? `${time(row.paid_at)} — ${row.amount != null ? truncateDecimals(Number(row.amount), 8) : '?'}` : t(lang, 'admin.no'),
+          inline: true
+        },
+        { name: t(lang, 'fields.tx'), value: row.payment_tx || '-', inline: true },
+        { name: t(lang, 'fields.attempts'), value: String(row.attempts || 0), inline: true }
+      )
+      .setTimestamp();
+    if (row.batch_id) {
+      const batch = await getPayoutBatch(row.batch_id);
+      embed.addFields({
+        name: t(lang, 'admin.batch'),
+        value: batch ? t(lang, 'admin.batchValue', { id: batch.id, status: batch.status, count: batch.row_count, amount: batch.amount != null ? batch.amount : '?' }) : `#${row.batch_id}`,
+        inline: true
+      });
+    }
+    if (row.last_error) embed.addFields({ name: t(lang, 'admin.lastError'), value: String(row.last_error).slice(0, 1000), inline: false });
+    if (row.status === 'left') embed.addFields({ name: t(lang, 'admin.left'), value: `${time(row.left_at)}${row.clawback_tx ? ` — clawback ${row.clawback_tx}` : ''}`, inline: true });
+    for (const [label, userId] of [['admin.memberBlacklisted', row.joined_id], ['admin.inviterBlacklisted', row.inviter_id]]) {
+      const entry = userId !== NO_INVITER ? await getBlacklistEntry(guildId, userId) : null;
+      if (entry) embed.addFields({ name: t(lang, label), value: entry.reason || t(lang, 'common.noReason'), inline: true });
+    }
+    return embed;
+  }
+
+  /** Handle /invite-admin
+   * usage:
+   *  - /invite-admin view member:@user
+   *  - /invite-admin mark_paid member:@user tx:abc123
+   *  - /invite-admin mark_unpaid member:@user reason:"transferência não chegou"
+   *  - /invite-admin void member:@user reason:"conta alternativa"
+   *  - /invite-admin retry member:@user
+   *  - /invite-admin blacklist member:@user reason:"farm de invites" (unblacklist desfaz)
+   *  - /invite-admin reset member:@user
+   * Every change is stored in admin_audit and echoed to the log channel.
+   */
+  async function handleInviteAdminCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const action = interaction.options.getSubcommand();
+    const target = interaction.options.getUser('member');
+    const reasonOption = interaction.options.getString('reason');
+    const reason = reasonOption ? reasonOption.trim() : null;
+    const txOption = interaction.options.getString('tx');
+    const settings = await getGuildSettings(guildId);
+
+    // result: catalog key (admin.results.*) + values, rendered per language for the reply and the log channel
+    let result;
+    let details = null;
+    if (action === 'blacklist') {
+      const added = await addToBlacklist(guildId, target.id, reason, interaction.user.id);
+      if (!added) return interaction.reply({ content: t(lang, 'admin.alreadyBlacklisted', { user: target.id }), ephemeral: true });
+      const rejected = await rejectPendingForUser(guildId, target.id, 'blacklisted');
+      result = { key: 'blacklisted', vars: { rejected } };
+      details = { rejected };
+    } else if (action === 'unblacklist') {
+      const removed = await removeFromBlacklist(guildId, target.id);
+      if (!removed) return interaction.reply({ content: t(lang, 'admin.notBlacklisted', { user: target.id }), ephemeral: true });
+      result = { key: 'unblacklisted' };
+    } else if (action === 'reset') {
+      const deleted = await resetInviterStats(guildId, target.id);
+      result = { key: 'reset', vars: { deleted } };
+      details = { deleted };
+    } else {
+      // the other actions work on the join record of the member
+      const row = await getJoinRecord(guildId, target.id);
+      if (!row) return interaction.reply({ content: t(lang, 'admin.noRecord', { user: target.id }), ephemeral: true });
+      if (action === 'view') return interaction.reply({ embeds: [await buildJoinRecordEmbed(guildId, row, lang)], ephemeral: true });
+      if (await isPaymentInFlight(row)) {
+        return interaction.reply({ content: t(lang, 'admin.inFlight'), ephemeral: true });
+      }
+      details = { rowId: row.id, previousStatus: row.status };
+
+      if (action === 'mark_paid') {
+        if (Number(row.paid) === 1) return interaction.reply({ content: t(lang, 'admin.alreadyPaid'), ephemeral: true });
+        if (row.inviter_id === NO_INVITER) return interaction.reply({ content: t(lang, 'admin.attributeFirst'), ephemeral: true });
+        const amount = row.amount != null ? row.amount : settings.worth;
+        const txId = txOption ? txOption.trim() : 'manual';
+        await adminMarkPaid(row.id, txId, amount);
+        result = { key: 'markedPaid', vars: { amount: truncateDecimals(Number(amount), 8), tx: txId } };
+        Object.assign(details, { txId, amount: String(amount) });
+        await checkMilestones(guildId, row.inviter_id, settings);
+      } else if (action === 'mark_unpaid') {
+        if (row.status !== 'paid') return interaction.reply({ content: t(lang, 'admin.onlyPaid'), ephemeral: true });
+        // stored in last_error: written in the guild's language
+        await adminMarkUnpaid(row.id, `${t(settings.language, 'admin.unpaidNote')}${reason ? `: ${reason}` : ''}`);
+        result = { key: 'markedUnpaid', vars: { tx: row.payment_tx || '-' } };
+        details.previousTx = row.payment_tx || null;
+      } else if (action === 'void') {
+        if (!['pending', 'failed', 'unattributed', 'imported'].includes(row.status)) {
+          return interaction.reply({ content: t(lang, 'admin.onlyUnpaid', { status: row.status }), ephemeral: true });
+        }
+        await voidReward(row.id, t(settings.language, 'admin.voidNote', { reason }));
+        result = { key: 'voided' };
+      } else if (action === 'retry') {
+        if (row.status !== 'failed') return interaction.reply({ content: t(lang, 'admin.onlyFailed', { status: row.status }), ephemeral: true });
+        await requeuePayment(row.id);
+        result = { key: 'requeued' };
+      } else {
+        return interaction.reply({ content: t(lang, 'admin.invalidAction'), ephemeral: true });
+      }
+    }
+
+    await recordAdminAction(guildId, interaction.user.id, action, target.id, reason, details);
+    log.info('admin', 'moderation action', { guild_id: guildId, admin_id: interaction.user.id, action, target_id: target.id, result: result.key, details: details || undefined });
+    const buildEmbed = embedLang => new EmbedBuilder()
+      .setTitle(t(embedLang, 'admin.actionTitle', { action: catalogText(embedLang, 'admin.actions', action) }))
+      .addFields(
+        { name: t(embedLang, 'fields.member'), value: `<@${target.id}> (${target.id})`, inline: true },
+        { name: t(embedLang, 'fields.by'), value: `<@${interaction.user.id}>`, inline: true },
+        { name: t(embedLang, 'fields.reason'), value: reason || t(embedLang, 'common.noReason'), inline: true },
+        { name: t(embedLang, 'fields.result'), value: t(embedLang, `admin.results.${result.key}`, result.vars), inline: false }
+      )
+      .setTimestamp();
+    await sendLogEmbed(settings.logChannelId, buildEmbed(settings.language), 'admin');
+    return interaction.reply({ embeds: [buildEmbed(lang)], ephemeral: true });
+  }
+
+  // every action takes the member; reason / tx only where they are used
+  const memberArg = { name: 'member', ...describe('commands.inviteAdmin.member'), type: 6, required: true }; // USER
+  const reasonArg = required => ({ name: 'reason', ...describe('commands.inviteAdmin.reason'), type: 3, required }); // STRING
+  const txArg = { name: 'tx', ...describe('commands.inviteAdmin.tx'), type: 3, required: false }; // STRING
+  const subcommands = {
+    view: [memberArg],
+    mark_paid: [memberArg, txArg],
+    mark_unpaid: [memberArg, reasonArg(false)],
+    void: [memberArg, reasonArg(true)],
+    retry: [memberArg],
+    blacklist: [memberArg, reasonArg(false)],
+    unblacklist: [memberArg],
+    reset: [memberArg]
+  };
+
+  return {
+    data: {
+      name: 'invite-admin',
+      ...describe('commands.inviteAdmin.description'),
+      options: Object.entries(subcommands).map(([name, options]) => ({
+        name,
+        ...describe(`commands.inviteAdmin.actions.${name}`),
+        type: 1, // SUB_COMMAND
+        options
+      }))
+    },
+    adminOnly: true,
+    execute: handleInviteAdminCommand
+  };
+};
@@ -0,0 +1,82 @@
+/**
+ * commands/invite-owner.js — /invite-owner: define quem recebe os rewards de um código de invite
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createInviteOwnerCommand({ describe, HOUSE_OWNER, getGuildSettings, getInviteCodeOwners, setInviteCodeOwner, removeInviteCodeOwner }) {
+  /** Handle /invite-owner
+   * usage:
+   *  - /invite-owner list
+   *  - /invite-owner set code:abc user:@fulano   (or house:true for the guild's house account)
+   *  - /invite-owner remove code:abc
+   */
+  async function handleInviteOwnerCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const action = interaction.options.getSubcommand();
+    const codeOption = interaction.options.getString('code');
+    // accept full links too: discord.gg/abc -> abc
+    const code = codeOption ? codeOption.trim().split('/').pop() : null;
+
+    if (action === 'set') {
+      const userOption = interaction.options.getUser('user');
+      const houseOption = interaction.options.getBoolean('house');
+      if (!userOption && !houseOption) return interaction.reply({ content: t(lang, 'inviteOwner.needOwner'), ephemeral: true });
+      if (houseOption) {
+        const settings = await getGuildSettings(guildId);
+        if (!settings.houseAccountId) {
+          return interaction.reply({ content: t(lang, 'inviteOwner.noHouse'), ephemeral: true });
+        }
+      }
+      await setInviteCodeOwner(guildId, code, houseOption ? HOUSE_OWNER : userOption.id);
+      return interaction.reply({
+        content: t(lang, 'inviteOwner.set', { code, owner: houseOption ? t(lang, 'inviteOwner.houseAccount') : `<@${userOption.id}>` }),
+        ephemeral: false
+      });
+    }
+
+    if (action === 'remove') {
+      const removed = await removeInviteCodeOwner(guildId, code);
+      return interaction.reply({ content: t(lang, removed ? 'inviteOwner.removed' : 'inviteOwner.notSet', { code }), ephemeral: !removed });
+    }
+
+    const owners = await getInviteCodeOwners(guildId);
+    if (owners.length === 0) return interaction.reply({ content: t(lang, 'inviteOwner.empty'), ephemeral: true });
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'inviteOwner.title'))
+      .setDescription(owners.map(o => `\`${o.code}\` → ${o.owner_id === HOUSE_OWNER ? t(lang, 'inviteOwner.house') : `<@${o.owner_id}>`}`).join('\n'))
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  return {
+    data: {
+      name: 'invite-owner',
+      ...describe('commands.inviteOwner.description'),
+      options: [
+        { name: 'list', ...describe('commands.inviteOwner.actions.list'), type: 1 }, // SUB_COMMAND
+        {
+          name: 'set',
+          ...describe('commands.inviteOwner.actions.set'),
+          type: 1, // SUB_COMMAND
+          options: [
+            { name: 'code', ...describe('commands.inviteOwner.code'), type: 3, required: true }, // STRING
+            { name: 'user', ...describe('commands.inviteOwner.user'), type: 6, required: false }, // USER
+            { name: 'house', ...describe('commands.inviteOwner.house'), type: 5, required: false } // BOOLEAN
+          ]
+        },
+        {
+          name: 'remove',
+          ...describe('commands.inviteOwner.actions.remove'),
+          type: 1, // SUB_COMMAND
+          options: [
+            { name: 'code', ...describe('commands.inviteOwner.code'), type: 3, required: true } // STRING
+          ]
+        }
+      ]
+    },
+    adminOnly: true,
+    execute: handleInviteOwnerCommand
+  };
+};
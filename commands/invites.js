@@ -0,0 +1,77 @@
+/**
+ * commands/invites.js — /invites: invites de um usuário e total de coins arrecadado
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createInvitesCommand({ describe, getGuildSettings, getInviterStats, getRejectedCountsByInviter, getMilestoneBonusTotal, rejectReasonText, truncateDecimals }) {
+  /** Handle /invites */
+  async function handleInvitesCommand(interaction, lang) {
+    const target = interaction.options.getUser('user') || interaction.user;
+    const guild = interaction.guild;
+
+    await interaction.deferReply({ ephemeral: false });
+
+    // gather stats
+    const settings = await getGuildSettings(guild.id);
+    const stats = await getInviterStats(guild.id, target.id, settings.worth);
+    if (!stats || stats.length === 0) {
+      return interaction.editReply({ content: t(lang, 'invites.empty', { user: target.id }), ephemeral: false });
+    }
+
+    // build embed fields: each invite code -> joined_count
+    const fields = [];
+    let totalPaidCount = 0;
+    let totalPaidAmount = 0;
+    let totalJoined = 0;
+    for (const row of stats) {
+      const code = row.invite_code || '(unknown)';
+      const joinedCount = Number(row.joined_count || 0);
+      const paidCount = Number(row.paid_count || 0);
+      const rejectedCount = Number(row.rejected_count || 0);
+      totalPaidCount += paidCount;
+      totalPaidAmount += Number(row.paid_amount || 0);
+      totalJoined += joinedCount;
+      fields.push({
+        name: t(lang, 'invites.code', { code }),
+        value: t(lang, 'invites.counts', { joined: joinedCount, paid: paidCount }) + (rejectedCount ? t(lang, 'invites.countsRejected', { rejected: rejectedCount }) : ''),
+        inline: false
+      });
+    }
+
+    // rejected joins by reason (embed limit is 25 fields)
+    const rejected = await getRejectedCountsByInviter(guild.id, target.id);
+    if (rejected.length > 0) {
+      fields.splice(24);
+      fields.push({ name: t(lang, 'invites.rejected'), value: rejected.map(r => `🚫 ${rejectReasonText(lang, r.reject_reason)}: ${r.cnt}`).join('\n'), inline: false });
+    }
+
+    // total coins arrecadado = sum of paid amounts + milestone bonuses (truncate to 8 decimals)
+    const milestoneTotal = await getMilestoneBonusTotal(guild.id, target.id);
+    const totalCoins = truncateDecimals(totalPaidAmount + milestoneTotal, 8);
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'invites.title', { user: target.tag || `<@${target.id}>` }))
+      .addFields(...fields)
+      .setFooter({ text: t(lang, 'invites.footer', { paid: totalPaidCount, joined: totalJoined }) })
+      .setTimestamp();
+
+    // send reply with embed and total below
+    await interaction.editReply({
+      embeds: [embed],
+      content: t(lang, 'invites.total', { total: totalCoins }) + (milestoneTotal > 0 ? t(lang, 'invites.milestoneBonus', { amount: truncateDecimals(milestoneTotal, 8) }) : '')
+    });
+  }
+
+  return {
+    data: {
+      name: 'invites',
+      ...describe('commands.invites.description'),
+      options: [
+        { name: 'user', ...describe('commands.invites.user'), type: 6, required: false } // USER
+      ]
+    },
+    execute: handleInvitesCommand
+  };
+};
@@ -0,0 +1,144 @@
+/**
+ * commands/leaderboard.js — /leaderboard: ranking de convidadores por período, com paginação por botões
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createLeaderboardCommand({ describe, choice, getGuildSettings, getLeaderboard, parseDateUTC, formatDateUTC, truncateDecimals }) {
+  const LEADERBOARD_PAGE_SIZE = 10;
+  const LEADERBOARD_PERIODS = ['today', 'week', 'month', 'all', 'custom'];
+  const LEADERBOARD_SORTS = ['joins', 'coins'];
+
+  /**
+   * period (+ from/to strings for 'custom') -> { from, to, label } in ms, or null when invalid.
+   * 'custom' also returns the dates normalised as YYYY-MM-DD (days: { from, to }, '' when open).
+   */
+  function resolveLeaderboardPeriod(period, fromStr, toStr, lang) {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (period === 'today') {
+      const start = new Date(now);
+      start.setUTCHours(0, 0, 0, 0);
+      return { from: start.getTime(), to: null, label: t(lang, 'leaderboard.periods.today') };
+    }
+    if (period === 'week') return { from: now - 7 * dayMs, to: null, label: t(lang, 'leaderboard.periods.week') };
+    if (period === 'month') return { from: now - 30 * dayMs, to: null, label: t(lang, 'leaderboard.periods.month') };
+    if (period === 'custom') {
+      const from = fromStr ? parseDateUTC(fromStr) : null;
+      const toDay = toStr ? parseDateUTC(toStr) : null;
+      if ((fromStr && from == null) || (toStr && toDay == null) || (from == null && toDay == null)) return null;
+      const to = toDay != null ? toDay + dayMs : null; // 'to' is inclusive
+      if (from != null && to != null && from >= to) return null;
+      const days = { from: from != null ? formatDateUTC(from) : '', to: toDay != null ? formatDateUTC(toDay) : '' };
+      return { from, to, days, label: `${days.from || '…'} → ${days.to || t(lang, 'leaderboard.today')}` };
+    }
+    return { from: null, to: null, label: t(lang, 'leaderboard.periods.all') };
+  }
+
+  /**
+   * Build one leaderboard page (embed + pagination buttons). The query is encoded in the
+   * button custom ids: lb:<period>:<sort>:<from>:<to>:<page>, with from / to only for 'custom'
+   * and always as YYYY-MM-DD (Discord caps custom ids at 100 characters)
+   */
+  async function buildLeaderboardPage(guild, viewerId, query, page, lang) {
+    const range = resolveLeaderboardPeriod(query.period, query.from, query.to, lang);
+    if (!range) return null;
+    const settings = await getGuildSettings(guild.id);
+    const rows = await getLeaderboard(guild.id, { from: range.from, to: range.to, sort: query.sort, defaultWorth: settings.worth });
+
+    const totalPages = Math.max(1, Math.ceil(rows.length / LEADERBOARD_PAGE_SIZE));
+    const current = Math.min(Math.max(0, page), totalPages - 1);
+    const start = current * LEADERBOARD_PAGE_SIZE;
+    const medals = ['🥇', '🥈', '🥉'];
+
+    const lines = rows.slice(start, start + LEADERBOARD_PAGE_SIZE).map((r, i) => {
+      const rank = start + i + 1;
+      const line = t(lang, 'leaderboard.line', {
+        rank: medals[rank - 1] || `#${rank}`, user: r.inviter_id, joins: Number(r.valid_joins || 0), coins: truncateDecimals(Number(r.paid_amount || 0), 8)
+      });
+      return r.inviter_id === String(viewerId) ? `**➤ ${line}**` : line;
+    });
+
+    const viewerIndex = rows.findIndex(r => r.inviter_id === String(viewerId));
+    const viewerText = viewerIndex >= 0
+      ? t(lang, 'leaderboard.viewer', {
+        rank: viewerIndex + 1, total: rows.length, joins: Number(rows[viewerIndex].valid_joins || 0), coins: truncateDecimals(Number(rows[viewerIndex].paid_amount || 0), 8)
+      })
+      : t(lang, 'leaderboard.viewerMissing');
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'leaderboard.title', { period: range.label }))
+      .setDescription(lines.length > 0 ? lines.join('\n') : t(lang, 'leaderboard.empty'))
+      .addFields({ name: t(lang, 'leaderboard.you'), value: viewerText, inline: false })
+      .setFooter({ text: t(lang, 'leaderboard.footer', { page: current + 1, pages: totalPages, sort: t(lang, `leaderboard.sortedBy.${query.sort === 'coins' ? 'coins' : 'joins'}`) }) })
+      .setTimestamp();
+
+    const days = range.days || { from: '', to: '' };
+    const id = (p) => `lb:${query.period}:${query.sort}:${days.from}:${days.to}:${p}`;
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(id(current - 1)).setLabel('◀').setStyle(ButtonStyle.Secondary).setDisabled(current === 0),
+      new ButtonBuilder().setCustomId(id(current + 1)).setLabel('▶').setStyle(ButtonStyle.Secondary).setDisabled(current >= totalPages - 1),
+      new ButtonBuilder().setCustomId(`${id(viewerIndex >= 0 ? Math.floor(viewerIndex / LEADERBOARD_PAGE_SIZE) : current)}:me`).setLabel(t(lang, 'leaderboard.myPosition')).setStyle(ButtonStyle.Primary).setDisabled(viewerIndex < 0)
+    );
+
+    return { embeds: [embed], components: totalPages > 1 || viewerIndex >= 0 ? [row] : [] };
+  }
+
+  /** Handle /leaderboard */
+  async function handleLeaderboardCommand(interaction, lang) {
+    const guild = interaction.guild;
+
+    const query = {
+      period: interaction.options.getString('period') || 'all',
+      sort: interaction.options.getString('sort') || 'joins',
+      from: interaction.options.getString('from'),
+      to: interaction.options.getString('to')
+    };
+    if ((query.from || query.to) && query.period === 'all') query.period = 'custom';
+
+    const page = await buildLeaderboardPage(guild, interaction.user.id, query, 0, lang);
+    if (!page) {
+      return interaction.reply({ content: t(lang, 'leaderboard.invalidPeriod'), ephemeral: true });
+    }
+    await interaction.reply(page);
+  }
+
+  /** Leaderboard pagination buttons (anyone can page; the highlight and the language follow who clicked) */
+  async function handleLeaderboardButton(interaction, lang) {
+    const [, period, sort, from, to, pageStr] = interaction.customId.split(':');
+    const query = { period, sort, from: from || null, to: to || null };
+    const valid = LEADERBOARD_PERIODS.includes(period) && LEADERBOARD_SORTS.includes(sort);
+    const page = valid ? await buildLeaderboardPage(interaction.guild, interaction.user.id, query, Number(pageStr) || 0, lang) : null;
+    if (!page) return interaction.reply({ content: t(lang, 'leaderboard.expired'), ephemeral: true });
+    await interaction.update(page);
+  }
+
+  return {
+    data: {
+      name: 'leaderboard',
+      ...describe('commands.leaderboard.description'),
+      options: [
+        {
+          name: 'period',
+          ...describe('commands.leaderboard.period'),
+          type: 3, // STRING
+          required: false,
+          choices: LEADERBOARD_PERIODS.map(v => choice(`commands.leaderboard.periods.${v}`, v))
+        },
+        {
+          name: 'sort',
+          ...describe('commands.leaderboard.sort'),
+          type: 3, // STRING
+          required: false,
+          choices: LEADERBOARD_SORTS.map(v => choice(`commands.leaderboard.sorts.${v}`, v))
+        },
+        { name: 'from', ...describe('commands.leaderboard.from'), type: 3, required: false }, // STRING
+        { name: 'to', ...describe('commands.leaderboard.to'), type: 3, required: false } // STRING
+      ]
+    },
+    execute: handleLeaderboardCommand,
+    buttonPrefix: 'lb:',
+    handleButton: handleLeaderboardButton
+  };
+};
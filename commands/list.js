@@ -0,0 +1,77 @@
+/**
+ * commands/list.js — /list: membros convidados por um usuário e situação de cada pagamento
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createListCommand({ describe, CHECK_INTERVAL_MS, getLastPeriodicRun, getGuildSettings, getMembersByInviter, msToDuration, msToMMSS, rejectReasonText }) {
+  /** Handle /list */
+  async function handleListCommand(interaction, lang) {
+    const target = interaction.options.getUser('user') || interaction.user;
+    const guild = interaction.guild;
+
+    await interaction.deferReply({ ephemeral: false });
+
+    const settings = await getGuildSettings(guild.id);
+    const members = await getMembersByInviter(guild.id, target.id);
+    if (!members || members.length === 0) {
+      return interaction.editReply({ content: t(lang, 'list.empty', { user: target.id }) });
+    }
+
+    // Build a paginated-ish but simple text: up to 25 fields (embed limit)
+    const fields = [];
+    const now = Date.now();
+    for (const m of members.slice(0, 25)) {
+      const joinedAt = Number(m.joined_at || 0);
+      const paid = Number(m.paid || 0);
+      let marker = '';
+      if (m.status === 'left') {
+        if (paid === 1) marker = t(lang, 'list.left');
+        else marker = t(lang, m.clawback_tx === 'debit' ? 'list.leftDebited' : 'list.leftReversed');
+      } else if (paid === 1) {
+        marker = t(lang, 'list.paid');
+      } else if (m.status === 'rejected') {
+        marker = t(lang, 'common.rejected', { reason: rejectReasonText(lang, m.reject_reason) });
+      } else if (m.status === 'failed') {
+        marker = t(lang, 'list.failed', { attempts: m.attempts });
+      } else if (m.status === 'processing') {
+        marker = t(lang, 'list.processing');
+      } else if (m.status === 'imported') {
+        marker = t(lang, 'list.imported');
+      } else if (m.next_attempt_at && Number(m.next_attempt_at) > now) {
+        marker = t(lang, 'list.retry', { time: msToDuration(Number(m.next_attempt_at) - now) });
+      } else {
+        // remaining hold time, measured from joined_at
+        const remaining = joinedAt + settings.minStayMs - now;
+        if (remaining > 0) {
+          marker = t(lang, 'list.hold', { time: msToDuration(remaining) });
+        } else {
+          // hold is over: paid on the next scheduler pass
+          const lastPeriodicRun = getLastPeriodicRun();
+          const nextRun = Math.max(0, lastPeriodicRun + CHECK_INTERVAL_MS - now);
+          marker = lastPeriodicRun ? t(lang, 'list.awaitingNext', { time: msToMMSS(nextRun) }) : t(lang, 'list.awaiting');
+        }
+      }
+      fields.push({ name: `<@${m.joined_id}>`, value: marker, inline: false });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'list.title', { user: target.tag || `<@${target.id}>` }))
+      .addFields(...fields)
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  return {
+    data: {
+      name: 'list',
+      ...describe('commands.list.description'),
+      options: [
+        { name: 'user', ...describe('commands.list.user'), type: 6, required: false } // USER
+      ]
+    },
+    execute: handleListCommand
+  };
+};
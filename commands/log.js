@@ -0,0 +1,68 @@
+/**
+ * commands/log.js — /log: canal onde o bot publica os eventos de invite
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createLogCommand({ describe, getGuildSettings, setLogChannel, clearLogChannel }) {
+  /** Handle /log
+   * usage:
+   *  - /log set channel:#canal -> set log channel
+   *  - /log clear              -> clear log channel
+   *  - /log show               -> current log channel
+   */
+  async function handleLogCommand(interaction, lang) {
+    const guild = interaction.guild;
+    const action = interaction.options.getSubcommand();
+
+    if (action === 'set') {
+      const channelOption = interaction.options.getChannel('channel');
+      // check bot permissions to send messages there
+      const botPerms = channelOption.permissionsFor(guild.members.me);
+      if (!botPerms || !botPerms.has(PermissionsBitField.Flags.SendMessages)) {
+        return interaction.reply({ content: t(lang, 'log.noPermission'), ephemeral: true });
+      }
+      await setLogChannel(guild.id, channelOption.id);
+      return interaction.reply({ content: t(lang, 'log.set', { channel: channelOption }), ephemeral: false });
+    }
+
+    if (action === 'clear') {
+      await clearLogChannel(guild.id);
+      return interaction.reply({ content: t(lang, 'log.cleared'), ephemeral: false });
+    }
+
+    const settings = await getGuildSettings(guild.id);
+    if (!settings.logChannelId) return interaction.reply({ content: t(lang, 'log.notSet'), ephemeral: true });
+    // the channel may have been deleted or had the bot's permissions changed since /log set
+    const channel = guild.channels.cache.get(settings.logChannelId);
+    const botPerms = channel ? channel.permissionsFor(guild.members.me) : null;
+    const canSend = !!botPerms && botPerms.has(PermissionsBitField.Flags.SendMessages);
+    return interaction.reply({
+      content: t(lang, 'log.current', { channel: `<#${settings.logChannelId}>` }) + (canSend ? '' : t(lang, 'log.cannotSend')),
+      ephemeral: true
+    });
+  }
+
+  return {
+    data: {
+      name: 'log',
+      ...describe('commands.log.description'),
+      options: [
+        {
+          name: 'set',
+          ...describe('commands.log.set'),
+          type: 1, // SUB_COMMAND
+          options: [
+            // text and announcement channels
+            { name: 'channel', ...describe('commands.log.channel'), type: 7, required: true, channel_types: [0, 5] } // CHANNEL
+          ]
+        },
+        { name: 'clear', ...describe('commands.log.clear'), type: 1 }, // SUB_COMMAND
+        { name: 'show', ...describe('commands.log.show'), type: 1 } // SUB_COMMAND
+      ]
+    },
+    adminOnly: true,
+    execute: handleLogCommand
+  };
+};
@@ -0,0 +1,89 @@
+/**
+ * commands/milestone.js — /milestone: faixas de bônus e cargos por número de convites válidos
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createMilestoneCommand({ describe, getMilestoneTiers, upsertMilestoneTier, removeMilestoneTier, truncateDecimals }) {
+  /** Handle /milestone
+   * usage:
+   *  - /milestone list
+   *  - /milestone set invites:10 bonus:0.001 role:@Recrutador
+   *  - /milestone remove invites:10
+   */
+  async function handleMilestoneCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const action = interaction.options.getSubcommand();
+    const threshold = interaction.options.getInteger('invites');
+
+    if (action === 'set') {
+      const bonusOption = interaction.options.getString('bonus');
+      const roleOption = interaction.options.getRole('role');
+      if (bonusOption === null && !roleOption) return interaction.reply({ content: t(lang, 'milestone.needBonusOrRole'), ephemeral: true });
+      let bonus = null;
+      if (bonusOption !== null) {
+        // truncated first, like /config worth: a bonus that rounds down to 0 is invalid
+        const value = truncateDecimals(Number(bonusOption.trim().replace(',', '.')), 8);
+        if (!Number.isFinite(value) || value <= 0) {
+          return interaction.reply({ content: t(lang, 'milestone.invalidBonus'), ephemeral: true });
+        }
+        bonus = String(value);
+      }
+      if (roleOption && !roleOption.editable) {
+        return interaction.reply({ content: t(lang, 'milestone.roleNotEditable', { role: roleOption }), ephemeral: true });
+      }
+      await upsertMilestoneTier(guildId, threshold, bonus, roleOption ? roleOption.id : null);
+      return interaction.reply({
+        content: t(lang, 'milestone.saved', { threshold, bonus: bonus || t(lang, 'milestone.none'), role: roleOption ? t(lang, 'milestone.savedRole', { role: roleOption }) : '' }),
+        ephemeral: false
+      });
+    }
+
+    if (action === 'remove') {
+      const removed = await removeMilestoneTier(guildId, threshold);
+      return interaction.reply({ content: t(lang, removed ? 'milestone.removed' : 'milestone.notFound', { threshold }), ephemeral: !removed });
+    }
+
+    const tiers = await getMilestoneTiers(guildId);
+    if (tiers.length === 0) return interaction.reply({ content: t(lang, 'milestone.empty'), ephemeral: true });
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'milestone.listTitle'))
+      .setDescription(tiers.map(tier =>
+        t(lang, 'milestone.listLine', { threshold: tier.threshold, bonus: tier.bonus ? truncateDecimals(Number(tier.bonus), 8) : t(lang, 'milestone.none') }) +
+        (tier.role_id ? t(lang, 'milestone.listRole', { role: tier.role_id }) : '')
+      ).join('\n'))
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], ephemeral: false });
+  }
+
+  return {
+    data: {
+      name: 'milestone',
+      ...describe('commands.milestone.description'),
+      options: [
+        { name: 'list', ...describe('commands.milestone.actions.list'), type: 1 }, // SUB_COMMAND
+        {
+          name: 'set',
+          ...describe('commands.milestone.actions.set'),
+          type: 1, // SUB_COMMAND
+          options: [
+            { name: 'invites', ...describe('commands.milestone.invites'), type: 4, required: true, min_value: 1 }, // INTEGER
+            { name: 'bonus', ...describe('commands.milestone.bonus'), type: 3, required: false }, // STRING
+            { name: 'role', ...describe('commands.milestone.role'), type: 8, required: false } // ROLE
+          ]
+        },
+        {
+          name: 'remove',
+          ...describe('commands.milestone.actions.remove'),
+          type: 1, // SUB_COMMAND
+          options: [
+            { name: 'invites', ...describe('commands.milestone.invites'), type: 4, required: true, min_value: 1 } // INTEGER
+          ]
+        }
+      ]
+    },
+    adminOnly: true,
+    execute: handleMilestoneCommand
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * commands/notifications.js — /notifications: DMs ao inviter quando um join é registrado e quando é pago
+ */
+
+const { t, resolveLanguage } = require('../i18n');
+
+module.exports = function createNotificationsCommand({ describe, getNotificationPrefs, setDmNotifications }) {
+  /** Handle /notifications
+   * usage:
+   *  - /notifications on     -> DMs in this guild, in the user's Discord language
+   *  - /notifications off
+   *  - /notifications status
+   */
+  async function handleNotificationsCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const action = interaction.options.getSubcommand();
+
+    if (action === 'on' || action === 'off') {
+      await setDmNotifications(guildId, interaction.user.id, action === 'on', resolveLanguage(interaction.locale));
+      return interaction.reply({ content: t(lang, action === 'on' ? 'notifications.enabled' : 'notifications.disabled'), ephemeral: true });
+    }
+
+    const prefs = await getNotificationPrefs(guildId, interaction.user.id);
+    return interaction.reply({ content: t(lang, prefs.dmEnabled ? 'notifications.statusOn' : 'notifications.statusOff'), ephemeral: true });
+  }
+
+  return {
+    data: {
+      name: 'notifications',
+      ...describe('commands.notifications.description'),
+      options: [
+        { name: 'on', ...describe('commands.notifications.on'), type: 1 }, // SUB_COMMAND
+        { name: 'off', ...describe('commands.notifications.off'), type: 1 }, // SUB_COMMAND
+        { name: 'status', ...describe('commands.notifications.status'), type: 1 } // SUB_COMMAND
+      ]
+    },
+    execute: handleNotificationsCommand
+  };
+};
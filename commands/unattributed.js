@@ -0,0 +1,38 @@
+/**
+ * commands/unattributed.js — /unattributed: joins sem inviter, que só são pagos depois de /attribute
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { t } = require('../i18n');
+
+module.exports = function createUnattributedCommand({ describe, countUnattributedJoins, getUnattributedJoins, catalogText }) {
+  /** Handle /unattributed: report of joins without inviter (never paid until attributed) */
+  async function handleUnattributedCommand(interaction, lang) {
+    const guildId = interaction.guild.id;
+    const total = await countUnattributedJoins(guildId);
+    if (total === 0) return interaction.reply({ content: t(lang, 'unattributed.empty'), ephemeral: true });
+
+    const rows = await getUnattributedJoins(guildId, 20);
+    const lines = rows.map(r => {
+      const details = [catalogText(lang, 'joinSources', r.source)];
+      if (r.invite_code) details.push(t(lang, 'unattributed.invite', { code: r.invite_code }));
+      if (r.candidates) details.push(t(lang, 'unattributed.candidates', { codes: r.candidates }));
+      return `<@${r.joined_id}> — <t:${Math.floor(Number(r.joined_at) / 1000)}:R> — ${details.join(' — ')}`;
+    });
+    const embed = new EmbedBuilder()
+      .setTitle(t(lang, 'unattributed.title'))
+      .setDescription(lines.join('\n'))
+      .setFooter({ text: t(lang, 'unattributed.footer', { shown: rows.length, total }) })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  return {
+    data: {
+      name: 'unattributed',
+      ...describe('commands.unattributed.description')
+    },
+    adminOnly: true,
+    execute: handleUnattributedCommand
+  };
+};
@@ -0,0 +1,48 @@
+/**
+ * config.js — configuração do bot a partir das variáveis de ambiente (lista em index.js)
+ *
+ * loadConfig(process.env) é o que o bot usa; os testes passam um objeto próprio (ex.: DB_PATH=:memory:).
+ */
+
+const { PAYMENT_PROVIDERS } = require('./payments');
+const { FALLBACK_LANGUAGE, resolveLanguage } = require('./i18n');
+const { LOG_LEVELS, LOG_FORMATS } = require('./monitoring/logger');
+
+const CLAWBACK_MODES = ['mark', 'reverse', 'debit'];
+
+/** Settings from `env` (strings, like process.env); unset values get the defaults documented in index.js */
+function loadConfig(env = process.env) {
+  return {
+    DISCORD_TOKEN: env.DISCORD_TOKEN || '',
+    API_BASE: env.API_BASE || 'http://coin.foxsrv.net:26450',
+    RECEIVER_CARD: env.RECEIVER_CARD || env.CARD || env.COIN_CARD || '',
+    WORTH: env.WORTH || '0.00001000',
+    DB_PATH: env.DB_PATH || './invite_rewards.db',
+    CHECK_INTERVAL_MS: env.CHECK_INTERVAL_MS ? parseInt(env.CHECK_INTERVAL_MS) : 60 * 1000,
+    MIN_STAY_MS: env.MIN_STAY_MS ? parseInt(env.MIN_STAY_MS) : 24 * 60 * 60 * 1000,
+    PAYMENT_MAX_ATTEMPTS: env.PAYMENT_MAX_ATTEMPTS ? parseInt(env.PAYMENT_MAX_ATTEMPTS) : 5,
+    PAYMENT_RETRY_BASE_MS: env.PAYMENT_RETRY_BASE_MS ? parseInt(env.PAYMENT_RETRY_BASE_MS) : 60 * 1000,
+    PAYOUT_CONCURRENCY: env.PAYOUT_CONCURRENCY ? Math.max(1, parseInt(env.PAYOUT_CONCURRENCY)) : 2,
+    MIN_ACCOUNT_AGE_MS: env.MIN_ACCOUNT_AGE_MS ? parseInt(env.MIN_ACCOUNT_AGE_MS) : 0,
+    DAILY_REWARD_CAP: env.DAILY_REWARD_CAP ? parseInt(env.DAILY_REWARD_CAP) : 0,
+    CLAWBACK_WINDOW_MS: env.CLAWBACK_WINDOW_MS ? parseInt(env.CLAWBACK_WINDOW_MS) : 0,
+    CLAWBACK_MODE: CLAWBACK_MODES.includes(env.CLAWBACK_MODE) ? env.CLAWBACK_MODE : 'mark',
+    CLAWBACK_REVERSE_PATH: env.CLAWBACK_REVERSE_PATH || '/api/transfer/reverse',
+    HOUSE_ACCOUNT_ID: env.HOUSE_ACCOUNT_ID || '',
+    PAYMENT_PROVIDER: PAYMENT_PROVIDERS.includes(env.PAYMENT_PROVIDER) ? env.PAYMENT_PROVIDER : 'card',
+    LOW_BALANCE_THRESHOLD: env.LOW_BALANCE_THRESHOLD ? Number(env.LOW_BALANCE_THRESHOLD) : 0,
+    LOW_BALANCE_ALERT_INTERVAL_MS: env.LOW_BALANCE_ALERT_INTERVAL_MS ? parseInt(env.LOW_BALANCE_ALERT_INTERVAL_MS) : 6 * 60 * 60 * 1000,
+    DEFAULT_LANGUAGE: resolveLanguage(env.DEFAULT_LANGUAGE) || FALLBACK_LANGUAGE,
+    // guild where the slash commands are registered instantly while developing (empty = global registration)
+    DEV_GUILD_ID: env.DEV_GUILD_ID || '',
+    // read-only HTTP API + dashboard (api/), off unless API_PORT is set
+    API_PORT: env.API_PORT ? parseInt(env.API_PORT) : 0,
+    API_HOST: env.API_HOST || '127.0.0.1',
+    LOG_LEVEL: LOG_LEVELS.includes(env.LOG_LEVEL) ? env.LOG_LEVEL : 'info',
+    LOG_FORMAT: LOG_FORMATS.includes(env.LOG_FORMAT) ? env.LOG_FORMAT : 'json',
+    // SIGTERM / SIGINT: how long to wait for the payout batch in flight before exiting anyway
+    SHUTDOWN_TIMEOUT_MS: env.SHUTDOWN_TIMEOUT_MS ? parseInt(env.SHUTDOWN_TIMEOUT_MS) : 30 * 1000
+  };
+}
+
+module.exports = { CLAWBACK_MODES, loadConfig };
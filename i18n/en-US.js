@@ -0,0 +1,592 @@
+/**
+ * i18n/en-US.js — mensagens em inglês
+ *
+ * Mesmas chaves de pt-BR.js; chaves que faltarem aqui caem no texto em português.
+ */
+
+module.exports = {
+  languageName: 'English (US)',
+
+  common: {
+    guildOnly: 'This command can only be used inside a server.',
+    notAdmin: 'You need Administrator or Manage Server to use this command.',
+    none: '(none)',
+    noneFem: '(none)',
+    noReason: '(no reason)',
+    noTxId: '(no tx id)',
+    andMore: '{text} and {count} more',
+    rejected: '🚫 Rejected: {reason}',
+    commandFailed: '❌ Something went wrong while running this command. Please try again later.'
+  },
+
+  fields: {
+    member: 'Member',
+    newMember: 'New member',
+    inviter: 'Invited by',
+    invite: 'Invite',
+    invites: 'Invites',
+    source: 'Source',
+    status: 'Status',
+    by: 'By',
+    reason: 'Reason',
+    result: 'Result',
+    value: 'Amount',
+    card: 'Card',
+    balance: 'Balance',
+    pending: 'Pending',
+    payment: 'Payment',
+    joins: 'Joins',
+    attempts: 'Attempts',
+    invited: 'Invited',
+    error: 'Error',
+    tx: 'Tx',
+    eligible: 'Eligible'
+  },
+
+  rejectReasons: {
+    account_too_new: 'account too new',
+    self_invite: 'self-invite',
+    inviter_bot: 'inviter is a bot',
+    rejoin: 'rejoined the server',
+    daily_cap: "inviter's daily limit reached",
+    blacklisted: 'user is blacklisted',
+    voided: 'voided by an admin',
+    imported: 'rejected before the import'
+  },
+
+  rewardStatuses: {
+    pending: 'pending',
+    processing: 'processing',
+    paid: 'paid',
+    failed: 'failed',
+    rejected: 'rejected',
+    left: 'left',
+    unattributed: 'no inviter',
+    imported: 'imported'
+  },
+
+  joinSources: {
+    invite: 'Invite',
+    vanity: 'Custom URL (vanity)',
+    discovery: 'Server Discovery',
+    offline: 'Joined while the bot was offline',
+    import: 'Imported',
+    unknown: 'Unknown'
+  },
+
+  providers: {
+    card: 'Coin API (card)',
+    ledger: 'Internal points (ledger)',
+    dryrun: 'Simulation (dry-run)'
+  },
+
+  clawbackModes: {
+    mark: 'Only mark as left',
+    reverse: 'Reverse through the API',
+    debit: 'Deduct from the next rewards'
+  },
+
+  lowBalance: {
+    title: 'Low balance on the payment card',
+    belowQueue: "The balance doesn't cover the pending rewards: payouts without funds stay paused until the card is topped up.",
+    belowThreshold: 'The card balance is below the configured alert threshold.',
+    alertBelow: 'Alert below',
+    disabled: '(disabled)'
+  },
+
+  milestones: {
+    roleGranted: '<@&{role}> granted',
+    roleNotGranted: '<@&{role}> not granted ({error})',
+    error: 'error',
+    bonusPending: '{amount} pending',
+    bonusPaid: '{amount} paid (tx {tx})',
+    bonusFailed: '{amount} failed: {error}',
+    reachedTitle: 'Invite Milestone Reached',
+    bonusTitle: 'Milestone Bonus',
+    milestone: 'Milestone',
+    milestoneValue: '{count} paid invites',
+    bonus: 'Bonus',
+    noBonus: 'None',
+    role: 'Role'
+  },
+
+  payouts: {
+    failedTitle: 'Invite Rewards Failed',
+    paidTitle: 'Invite Rewards Paid',
+    valueEach: '{total} ({worth} each)',
+    debtOffset: 'Deducted from debt',
+    debtOffsetValue: '{offset} (transferred: {amount})'
+  },
+
+  reconcile: {
+    title: 'Joins During Downtime',
+    description: 'These members joined while the bot was offline. They have no inviter until assigned with /attribute (see /unattributed).',
+    offlineSince: 'Offline since',
+    missedJoins: 'Missed joins',
+    newUses: 'New uses',
+    none: 'None',
+    members: 'Members'
+  },
+
+  join: {
+    unattributedTitle: 'New Member Without Inviter',
+    unattributedDescription: "This join couldn't be attributed to an inviter. Use /attribute to assign it manually or /invite-owner to set the invite's owner.",
+    possibleInvites: 'Possible invites',
+    title: 'New Invite Used',
+    inviteOwner: ' — invite owner',
+    estimatedReward: 'Reward (estimated)',
+    rewardsDisabled: 'Rewards disabled'
+  },
+
+  leave: {
+    cancelledTitle: 'Invite Reward Cancelled',
+    cancelledDescription: 'The member left before the reward was paid.',
+    clawbackTitle: 'Invite Reward Clawback',
+    clawbackDescription: 'The member left shortly after the reward was paid.',
+    marked: 'Record marked as "left" (no reversal)',
+    reversed: 'Reversed through {provider} (tx {tx})',
+    debited: "Deducted from the inviter's next rewards (current debt: {debt})"
+  },
+
+  invites: {
+    empty: 'No invite records for <@{user}>.',
+    code: 'Invite: {code}',
+    counts: 'Joined: {joined} — Paid: {paid}',
+    countsRejected: ' — Rejected: {rejected}',
+    rejected: 'Rejected',
+    title: 'Invites of {user}',
+    footer: 'Total paid entries: {paid} — Total joined: {joined}',
+    total: 'Total coins earned: {total}',
+    milestoneBonus: ' (milestone bonuses: {amount})'
+  },
+
+  list: {
+    empty: "No members found who joined through <@{user}>'s invites.",
+    paid: '✅ Paid',
+    left: '🚪 Left after the reward',
+    leftDebited: '↩️ Left after the reward (deducted from the next ones)',
+    leftReversed: '↩️ Left after the reward (reversed)',
+    failed: '❌ Payment failed after {attempts} attempts',
+    processing: '💸 Payment in progress',
+    imported: '📥 Imported (no reward)',
+    retry: '🔁 Payment retry in {time}',
+    hold: '⏳ {time} until the reward',
+    awaiting: '⌛ Awaiting payment',
+    awaitingNext: '⌛ Awaiting payment (next check in {time})',
+    title: 'Members brought by {user}'
+  },
+
+  leaderboard: {
+    periods: {
+      today: 'Today',
+      week: 'Last 7 days',
+      month: 'Last 30 days',
+      all: 'All time'
+    },
+    today: 'today',
+    line: '{rank} <@{user}> — {joins} joins — {coins} coins',
+    viewer: 'Your position: #{rank} of {total} — {joins} joins, {coins} coins',
+    viewerMissing: "You're not on this leaderboard yet",
+    title: 'Invite leaderboard — {period}',
+    empty: 'No invites in this period.',
+    you: 'You',
+    footer: 'Page {page}/{pages} — sorted by {sort}',
+    sortedBy: {
+      joins: 'valid joins',
+      coins: 'coins earned'
+    },
+    myPosition: 'My position',
+    invalidPeriod: 'Invalid period: use from/to as YYYY-MM-DD (from before to).',
+    expired: 'This leaderboard has expired, run /leaderboard again.'
+  },
+
+  milestone: {
+    needBonusOrRole: 'Enter a bonus and/or a role for the milestone.',
+    invalidBonus: 'Invalid bonus: use a number greater than zero (e.g. 0.001).',
+    roleNotEditable: "I can't give the role {role}: it must be below my role and I need Manage Roles.",
+    saved: 'Milestone of {threshold} invites saved: bonus {bonus}{role}.',
+    savedRole: ', role {role}',
+    none: 'none',
+    removed: 'Milestone of {threshold} invites removed.',
+    notFound: 'No milestone of {threshold} invites.',
+    empty: 'No milestones configured. Use /milestone set.',
+    listTitle: 'Invite milestones',
+    listLine: '**{threshold} invites** — bonus: {bonus}',
+    listRole: ' — role: <@&{role}>'
+  },
+
+  attribute: {
+    noRecord: 'No join recorded for <@{user}>.',
+    alreadyAttributed: 'The join of <@{user}> is already attributed to <@{inviter}>.',
+    failed: "Couldn't attribute this join (it changed in the meantime).",
+    title: 'Join Attributed Manually',
+    doneRejected: 'Join of <@{user}> attributed to <@{inviter}>, but rejected: {reason}.',
+    done: 'Join of <@{user}> attributed to <@{inviter}>; the reward follows the usual minimum stay.'
+  },
+
+  unattributed: {
+    empty: 'No joins without inviter. 🎉',
+    invite: 'invite {code}',
+    candidates: 'possible: {codes}',
+    title: 'Joins without inviter',
+    footer: '{shown} of {total} — use /attribute member inviter to assign'
+  },
+
+  inviteOwner: {
+    needOwner: 'Enter the owner (user) or use house:true.',
+    noHouse: 'No house account configured: use /config set house_account first.',
+    set: 'Joins through invite `{code}` now pay {owner}. Joins already recorded without inviter can be assigned with /attribute.',
+    houseAccount: 'the house account',
+    removed: 'Owner of invite `{code}` removed.',
+    notSet: 'Invite `{code}` has no owner set.',
+    empty: 'No invites with an owner set. Use /invite-owner set.',
+    title: 'Invite owners',
+    house: 'house account'
+  },
+
+  log: {
+    noPermission: "I don't have permission to send messages in that channel.",
+    set: 'Log channel set to {channel}.',
+    cleared: 'Log configuration removed.',
+    current: 'Invite events are sent to {channel}.',
+    cannotSend: " ⚠️ I can't send messages in that channel: use /log set to pick another one.",
+    notSet: 'No log channel configured. Use /log set.'
+  },
+
+  announcements: {
+    // used when the guild has no custom template (/announcements template)
+    defaults: {
+      join: "🎉 {member} joined the server through {inviter}'s invite!",
+      paid: '💸 {inviter} received {amount} coins for inviting {member}. Total earned: {total} coins.'
+    },
+    events: {
+      join: 'New join',
+      paid: 'Payout'
+    },
+    set: 'Invite announcements will be sent to {channel}.',
+    cleared: 'Announcements channel removed: announcements are off.',
+    templateSet: '"{event}" message updated. Preview:\n{preview}',
+    templateReset: '"{event}" message is back to the default. Preview:\n{preview}',
+    title: 'Invite announcements',
+    channel: 'Channel',
+    off: 'Off (use /announcements set)',
+    custom: '{event} (custom)',
+    default: '{event} (default)',
+    placeholders: 'Placeholders: {inviter} who invited, {member} invited member(s), {amount} reward value, {total} total earned by the inviter'
+  },
+
+  notifications: {
+    enabled: "🔔 You'll get a DM when someone joins through your invite and when you get paid in this server (your DMs must be open).",
+    disabled: '🔕 Invite DMs turned off in this server.',
+    statusOn: '🔔 DMs are on in this server. Use /notifications off to turn them off.',
+    statusOff: '🔕 DMs are off in this server. Use /notifications on to turn them on.',
+    joinTitle: 'New member through your invite in {guild}',
+    paidTitle: 'You received invite rewards in {guild}',
+    total: 'Total earned',
+    footer: 'Use /notifications off in the server to stop these messages.'
+  },
+
+  apiToken: {
+    created: "🔑 New API token (shown only now, keep it somewhere safe; the previous one stopped working):\n`{token}`\nSend it as `Authorization: Bearer <token>` to `/api/guilds/{guild}/...` or open `/dashboard/{guild}?token=<token>`.",
+    revoked: "API token removed: nobody can read this guild's data through the API anymore.",
+    none: 'This guild has no API token. Use /api-token create.',
+    status: '🔑 API token active, created <t:{time}:R>. Use /api-token create to replace it or /api-token revoke to remove it.',
+    apiDisabled: "\n⚠️ The HTTP API is off on this bot (API_PORT is not set): the token only works once it's turned on."
+  },
+
+  dashboard: {
+    title: 'InviteReward — {guild}',
+    generatedAt: 'Generated at {time}',
+    empty: 'Nothing here.',
+    totals: {
+      joins: 'Recorded joins',
+      paid: 'Paid rewards',
+      pending: 'Queued payments',
+      rejected: 'Rejected',
+      failed: 'Failed payments',
+      unattributed: 'No inviter',
+      paidAmount: 'Coins paid (rewards)',
+      milestoneBonuses: 'Coins paid (milestones)',
+      paidLastWeek: 'Paid in the last 7 days'
+    },
+    leaderboard: 'Leaderboard',
+    pending: 'Payment queue',
+    failures: 'Failed rewards',
+    failedBonuses: 'Failed milestone bonuses',
+    columns: {
+      rank: '#',
+      inviter: 'Inviter',
+      validJoins: 'Valid joins',
+      coins: 'Coins',
+      member: 'Member',
+      status: 'Status',
+      eligible: 'Eligible at',
+      attempts: 'Attempts',
+      error: 'Last error',
+      joined: 'Joined at',
+      threshold: 'Threshold',
+      amount: 'Amount'
+    }
+  },
+
+  config: {
+    invalidWorth: 'Invalid worth: use a number greater than zero (e.g. 0.00001).',
+    invalidLowBalance: 'Invalid low_balance: use a number greater than or equal to zero.',
+    title: 'Reward settings',
+    rewards: 'Rewards',
+    enabled: 'Enabled',
+    disabled: 'Disabled (payouts paused)',
+    worth: 'Amount per member',
+    minStay: 'Minimum stay',
+    logChannel: 'Log channel',
+    minAccountAge: 'Minimum account age',
+    dailyCap: 'Daily limit per inviter',
+    rejoins: 'Rejoins',
+    rejoinsCount: 'Count',
+    rejoinsRejected: 'Rejected',
+    clawback: 'Clawback',
+    houseAccount: 'House account',
+    lowBalance: 'Low balance alert',
+    lowBalanceBelow: 'Below {value}',
+    lowBalanceQueue: "Only when it doesn't cover the queue",
+    language: 'Language',
+    none: 'None',
+    noneFem: 'None',
+    noLimit: 'No limit',
+    off: 'Disabled'
+  },
+
+  balance: {
+    title: 'Payment balance',
+    unlimited: 'No limit ({provider})',
+    runwayUnlimited: 'Unlimited',
+    unavailable: 'Unavailable (API check failed)',
+    noCard: 'No card configured',
+    runwayDays: '{days} days (average of {rate}/day)',
+    noRecentPayments: 'No payouts in the last 7 days',
+    paidLastWeek: 'Paid in the last 7 days',
+    runway: 'Runway',
+    belowQueue: "⚠️ The balance doesn't cover the pending rewards: payouts without funds are paused."
+  },
+
+  admin: {
+    actions: {
+      view: 'View record',
+      mark_paid: 'Mark as paid',
+      mark_unpaid: 'Mark as unpaid',
+      void: 'Void reward',
+      retry: 'Retry payment',
+      blacklist: 'Add to blacklist',
+      unblacklist: 'Remove from blacklist',
+      reset: 'Reset stats'
+    },
+    recordTitle: 'Join record #{id}',
+    noInviter: '(no inviter)',
+    joined: 'Joined',
+    paid: 'Paid',
+    no: 'No',
+    batch: 'Batch',
+    batchValue: '#{id} — {status} ({count} join(s), {amount})',
+    lastError: 'Last error',
+    left: 'Left',
+    memberBlacklisted: 'Member blacklisted',
+    inviterBlacklisted: 'Inviter blacklisted',
+    alreadyBlacklisted: '<@{user}> is already blacklisted.',
+    notBlacklisted: '<@{user}> is not blacklisted.',
+    noRecord: 'No join record of <@{user}> in this server.',
+    inFlight: 'This reward has a payment in progress (or waiting for a batch retry). Wait for it to finish.',
+    alreadyPaid: 'This reward is already paid.',
+    attributeFirst: 'This join has no inviter: use /attribute first.',
+    onlyPaid: 'Only rewards with status paid can be marked as unpaid.',
+    unpaidNote: 'marked as unpaid by an admin',
+    onlyUnpaid: 'Only unpaid rewards can be voided (current status: {status}).',
+    voidNote: 'voided by an admin: {reason}',
+    onlyFailed: 'Only failed payments can be retried (current status: {status}).',
+    invalidAction: 'Invalid action.',
+    actionTitle: 'Admin action: {action}',
+    results: {
+      blacklisted: "Won't earn or generate rewards. {rejected} pending reward(s) rejected.",
+      unblacklisted: 'Can earn and generate rewards again (joins rejected before stay rejected).',
+      reset: "{deleted} join record(s) of the inviter removed. Milestones already paid aren't paid again.",
+      markedPaid: 'Marked as paid ({amount}, tx {tx}).',
+      markedUnpaid: 'Back to failed (previous tx: {tx}). Use /invite-admin retry to pay again.',
+      voided: 'Reward voided: it will never be paid.',
+      requeued: 'Payment is back in the queue and will be made on the next check.'
+    }
+  },
+
+  export: {
+    invalidDates: 'Invalid dates: use the YYYY-MM-DD format.',
+    fromAfterTo: 'The start date must be before the end date.',
+    range: 'joins from {from} to {to}',
+    start: 'start',
+    today: 'today',
+    inviter: 'inviter <@{user}>',
+    done: '{count} record(s) exported{filters}.'
+  },
+
+  import: {
+    needFile: 'Upload a .csv or .json file.',
+    tooLarge: 'File too large (max {max} MB).',
+    noRecords: 'JSON without a list of records',
+    readFailed: "Couldn't read the file: {error}",
+    line: 'line {line}: {error}',
+    invalidField: 'invalid {field}',
+    title: 'Records Imported',
+    file: 'File',
+    noName: '(no name)',
+    imported: 'Imported',
+    skipped: 'Already recorded (skipped)',
+    invalid: 'Invalid',
+    unpaid: 'Unpaid',
+    unpaidPay: 'Become pending and will be paid',
+    unpaidHistory: 'History only (never paid)',
+    rejected: 'Rejected by the anti-abuse rules',
+    errors: 'Errors',
+    more: '… and {count} more'
+  },
+
+  commands: {
+    invites: {
+      description: "Shows a user's invites and the total coins earned",
+      user: 'User to look up'
+    },
+    list: {
+      description: 'Lists members who joined through your invites',
+      user: 'User to look up'
+    },
+    leaderboard: {
+      description: 'Ranking of who brought the most members to the server',
+      period: 'Ranking period',
+      periods: {
+        today: 'Today',
+        week: 'Last 7 days',
+        month: 'Last 30 days',
+        all: 'All time',
+        custom: 'Custom (use from/to)'
+      },
+      sort: 'Sort by',
+      sorts: {
+        joins: 'Valid joins',
+        coins: 'Coins earned'
+      },
+      from: 'Start date (YYYY-MM-DD) for a custom period',
+      to: 'End date (YYYY-MM-DD, inclusive) for a custom period'
+    },
+    milestone: {
+      description: 'Configures bonuses by number of invites (admins only)',
+      actions: {
+        list: 'List',
+        set: 'Add/change',
+        remove: 'Remove'
+      },
+      invites: 'Number of paid invites of the milestone',
+      bonus: 'Bonus paid when the milestone is reached (e.g. 0.001)',
+      role: 'Role given when the milestone is reached'
+    },
+    attribute: {
+      description: 'Manually assigns a join without inviter (vanity, discovery, unknown) (admins only)',
+      member: 'Member who joined',
+      inviter: 'Who should receive the reward',
+      invite: 'Invite code used (optional)'
+    },
+    unattributed: {
+      description: "Lists joins without inviter, which aren't paid until assigned (admins only)"
+    },
+    inviteOwner: {
+      description: 'Sets who receives the rewards of an invite code (admins only)',
+      actions: {
+        list: 'List',
+        set: 'Set owner',
+        remove: 'Remove'
+      },
+      code: 'Invite code (or custom URL)',
+      user: 'User who owns the invite',
+      house: 'Use the house account (/config set house_account) as owner'
+    },
+    log: {
+      description: 'Configures the log channel for invite events (admins only)',
+      set: 'Set the log channel',
+      channel: 'Text channel for the logs',
+      clear: 'Remove the log channel',
+      show: 'Show the current log channel'
+    },
+    announcements: {
+      description: 'Public channel announcing joins and payouts, with custom messages (admins only)',
+      set: 'Set the announcements channel',
+      channel: 'Text channel for the announcements',
+      clear: 'Turn announcements off',
+      template: 'Customize the message of an event ({inviter}, {member}, {amount}, {total})',
+      event: 'Event of the message',
+      text: 'New message (empty goes back to the default; \\n breaks the line)',
+      show: 'Show the channel and the current messages'
+    },
+    notifications: {
+      description: 'Turn DMs about your invites in this server on or off',
+      on: 'Get a DM when someone joins through your invite and when you get paid',
+      off: 'Stop getting DMs',
+      status: 'Show whether DMs are on'
+    },
+    apiToken: {
+      description: "Access token for this guild's HTTP API and dashboard (admins only)",
+      create: 'Generate a new token (the previous one stops working)',
+      revoke: 'Remove the API token',
+      status: 'Show whether there is an active token'
+    },
+    balance: {
+      description: 'Shows the payment card balance, pending rewards and runway (admins only)'
+    },
+    inviteAdmin: {
+      description: 'Invite record moderation: view, fix payments, blacklist (admins only)',
+      actions: {
+        view: 'View join record',
+        mark_paid: 'Mark as paid',
+        mark_unpaid: 'Mark as unpaid',
+        void: 'Void pending reward',
+        retry: 'Retry failed payment',
+        blacklist: 'Add to blacklist',
+        unblacklist: 'Remove from blacklist',
+        reset: "Reset the inviter's stats"
+      },
+      member: 'Member who joined (record) or user (blacklist, reset)',
+      reason: 'Reason (required to void)',
+      tx: 'Transaction id (mark as paid)'
+    },
+    export: {
+      description: "Exports this server's invite records as CSV or JSON (admins only)",
+      format: 'File format (default: CSV)',
+      from: 'Joins from (YYYY-MM-DD, UTC)',
+      to: 'Joins until (YYYY-MM-DD, UTC, inclusive)',
+      inviter: "Only this inviter's joins"
+    },
+    import: {
+      description: 'Imports invite records from a CSV/JSON (export or another tracker) (admins only)',
+      file: '.csv or .json file with the records',
+      payPending: 'Unpaid records become pending and are paid by the bot (default: no)'
+    },
+    config: {
+      description: "Configures this server's invite rewards (admins only)",
+      show: 'Show the current settings',
+      set: 'Change only the given settings',
+      worth: 'Amount paid per invited member (e.g. 0.00001)',
+      card: 'Card used to pay the rewards',
+      minStay: 'Minimum time (minutes) in the server before the reward',
+      enabled: 'Enable/disable reward payouts',
+      minAccountAge: "Minimum age (days) of the invited member's account, 0 disables",
+      dailyCap: 'Max valid joins per inviter every 24h, 0 = no limit',
+      allowRejoins: 'Count users who joined the server before',
+      clawbackWindow: "Hours after payout in which the member's leaving reverses the reward, 0 disables",
+      clawbackMode: 'What to do when the member leaves within the window',
+      provider: 'How rewards are paid',
+      providers: {
+        card: 'Coin API (card)',
+        ledger: 'Internal points (ledger)',
+        dryrun: "Simulation (dry-run, doesn't pay)"
+      },
+      houseAccount: 'House account, owner of invites marked as house',
+      lowBalance: 'Warn in the log channel when the card balance drops below this amount, 0 disables',
+      language: "The bot's default language in this server (log channel and other-language users)",
+      reset: "Back to the bot's default values"
+    }
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * i18n/index.js — catálogo de mensagens do bot
+ *
+ * t(lang, 'area.chave', { nome }) devolve o texto do idioma com {nome} substituído; chave sem
+ * tradução cai no pt-BR e, sem texto nenhum, devolve a própria chave.
+ *
+ * Idioma de cada mensagem:
+ * - respostas de comandos: o idioma do Discord de quem usou (interaction.locale), quando suportado
+ * - canal de log e demais casos: o idioma da guild (/config language, default DEFAULT_LANGUAGE no .env)
+ */
+
+const catalogs = {
+  'pt-BR': require('./pt-BR'),
+  'en-US': require('./en-US')
+};
+
+const LANGUAGES = Object.keys(catalogs);
+const FALLBACK_LANGUAGE = 'pt-BR';
+
+// Discord locales that get each language in description_localizations / name_localizations
+const DISCORD_LOCALES = {
+  'pt-BR': ['pt-BR'],
+  'en-US': ['en-US', 'en-GB']
+};
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/** `text` with {name} placeholders filled from `vars` (unknown placeholders are kept as they are) */
+function format(text, vars = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match));
+}
+
+/** Message `key` in `lang`, with {name} placeholders filled from `vars` */
+function t(lang, key, vars = {}) {
+  let text = lookup(catalogs[lang] || catalogs[FALLBACK_LANGUAGE], key);
+  if (typeof text !== 'string') text = lookup(catalogs[FALLBACK_LANGUAGE], key);
+  if (typeof text !== 'string') return key;
+  return format(text, vars);
+}
+
+/** Supported language for a Discord locale ('pt-BR', 'en-GB', ...), or null */
+function resolveLanguage(locale) {
+  if (!locale) return null;
+  const value = String(locale);
+  if (LANGUAGES.includes(value)) return value;
+  const base = value.split('-')[0].toLowerCase();
+  return LANGUAGES.find(lang => lang.split('-')[0] === base) || null;
+}
+
+/** { discordLocale: text } of `key` in every language, for description_localizations / name_localizations */
+function localizations(key, vars) {
+  const out = {};
+  for (const lang of LANGUAGES) {
+    for (const locale of DISCORD_LOCALES[lang] || [lang]) out[locale] = t(lang, key, vars);
+  }
+  return out;
+}
+
+module.exports = { LANGUAGES, FALLBACK_LANGUAGE, t, format, resolveLanguage, localizations };
@@ -0,0 +1,599 @@
+/**
+ * i18n/pt-BR.js — mensagens em português (idioma padrão do bot)
+ *
+ * Chaves aninhadas por área; {nome} é substituído pelos valores passados a t().
+ * Toda chave nova entra aqui e em en-US.js.
+ */
+
+module.exports = {
+  languageName: 'Português (Brasil)',
+
+  common: {
+    guildOnly: 'Comando só pode ser usado dentro de uma guild.',
+    notAdmin: 'Você precisa ser administrador/ter Manage Guild para usar este comando.',
+    none: '(nenhum)',
+    noneFem: '(nenhuma)',
+    noReason: '(sem motivo)',
+    noTxId: '(sem tx id)',
+    andMore: '{text} e mais {count}',
+    rejected: '🚫 Rejeitado: {reason}',
+    commandFailed: '❌ Algo deu errado ao executar este comando. Tente de novo mais tarde.'
+  },
+
+  // embed field names shared by several messages
+  fields: {
+    member: 'Membro',
+    newMember: 'Novo membro',
+    inviter: 'Convidou',
+    invite: 'Invite',
+    invites: 'Invites',
+    source: 'Origem',
+    status: 'Status',
+    by: 'Por',
+    reason: 'Motivo',
+    result: 'Resultado',
+    value: 'Valor',
+    card: 'Card',
+    balance: 'Saldo',
+    pending: 'Pendentes',
+    payment: 'Pagamento',
+    joins: 'Joins',
+    attempts: 'Tentativas',
+    invited: 'Invitados',
+    error: 'Erro',
+    tx: 'Tx',
+    eligible: 'Elegível'
+  },
+
+  // invite_rewards.reject_reason
+  rejectReasons: {
+    account_too_new: 'conta muito nova',
+    self_invite: 'auto-convite',
+    inviter_bot: 'inviter é um bot',
+    rejoin: 'reentrada no servidor',
+    daily_cap: 'limite diário do inviter atingido',
+    blacklisted: 'usuário na blacklist',
+    voided: 'anulado por um admin',
+    imported: 'rejeitado antes da importação'
+  },
+
+  // invite_rewards.status
+  rewardStatuses: {
+    pending: 'pendente',
+    processing: 'processando',
+    paid: 'pago',
+    failed: 'falhou',
+    rejected: 'rejeitado',
+    left: 'saiu',
+    unattributed: 'sem inviter',
+    imported: 'importado'
+  },
+
+  // invite_rewards.source
+  joinSources: {
+    invite: 'Invite',
+    vanity: 'URL personalizada (vanity)',
+    discovery: 'Server Discovery',
+    offline: 'Entrou com o bot offline',
+    import: 'Importado',
+    unknown: 'Desconhecida'
+  },
+
+  providers: {
+    card: 'Coin API (card)',
+    ledger: 'Pontos internos (ledger)',
+    dryrun: 'Simulação (dry-run)'
+  },
+
+  clawbackModes: {
+    mark: 'Só marcar como saiu',
+    reverse: 'Estornar via API',
+    debit: 'Descontar dos próximos rewards'
+  },
+
+  lowBalance: {
+    title: 'Saldo baixo no card de pagamento',
+    belowQueue: 'O saldo não cobre os rewards pendentes: pagamentos sem saldo ficam pausados até o card ser recarregado.',
+    belowThreshold: 'O saldo do card está abaixo do limite de alerta configurado.',
+    alertBelow: 'Alerta abaixo de',
+    disabled: '(desativado)'
+  },
+
+  milestones: {
+    roleGranted: '<@&{role}> concedido',
+    roleNotGranted: '<@&{role}> não concedido ({error})',
+    error: 'erro',
+    bonusPending: '{amount} pendente',
+    bonusPaid: '{amount} pago (tx {tx})',
+    bonusFailed: '{amount} falhou: {error}',
+    reachedTitle: 'Milestone de Invites Atingido',
+    bonusTitle: 'Bônus de Milestone',
+    milestone: 'Milestone',
+    milestoneValue: '{count} invites pagos',
+    bonus: 'Bônus',
+    noBonus: 'Nenhum',
+    role: 'Cargo'
+  },
+
+  payouts: {
+    failedTitle: 'Invite Rewards Falharam',
+    paidTitle: 'Invite Rewards Pagos',
+    valueEach: '{total} ({worth} cada)',
+    debtOffset: 'Descontado de débito',
+    debtOffsetValue: '{offset} (transferido: {amount})'
+  },
+
+  reconcile: {
+    title: 'Joins Durante Downtime',
+    description: 'Estes membros entraram enquanto o bot estava offline. Eles ficam sem inviter até serem atribuídos com /attribute (veja /unattributed).',
+    offlineSince: 'Offline desde',
+    missedJoins: 'Joins perdidos',
+    newUses: 'Usos novos',
+    none: 'Nenhum',
+    members: 'Membros'
+  },
+
+  join: {
+    unattributedTitle: 'Novo Membro Sem Inviter',
+    unattributedDescription: 'Não foi possível atribuir este join a um inviter. Use /attribute para atribuir manualmente ou /invite-owner para definir o dono do invite.',
+    possibleInvites: 'Invites possíveis',
+    title: 'Novo Invite Usado',
+    inviteOwner: ' — dono do invite',
+    estimatedReward: 'Reward (estimado)',
+    rewardsDisabled: 'Rewards desativados'
+  },
+
+  leave: {
+    cancelledTitle: 'Invite Reward Cancelado',
+    cancelledDescription: 'O membro saiu antes do reward ser pago.',
+    clawbackTitle: 'Invite Reward Clawback',
+    clawbackDescription: 'O membro saiu pouco depois do reward ser pago.',
+    marked: 'Registro marcado como "saiu" (sem estorno)',
+    reversed: 'Estornado via {provider} (tx {tx})',
+    debited: 'Descontado dos próximos rewards do inviter (débito atual: {debt})'
+  },
+
+  invites: {
+    empty: 'Nenhum registro de invites para <@{user}>.',
+    code: 'Invite: {code}',
+    counts: 'Entraram: {joined} — Pagos: {paid}',
+    countsRejected: ' — Rejeitados: {rejected}',
+    rejected: 'Rejeitados',
+    title: 'Invites de {user}',
+    footer: 'Total de entradas pagas: {paid} — Total de entradas: {joined}',
+    total: 'Total de coins arrecadado: {total}',
+    milestoneBonus: ' (bônus de milestones: {amount})'
+  },
+
+  list: {
+    empty: 'Nenhum membro encontrado que tenha entrado pelos invites de <@{user}>.',
+    paid: '✅ Pago',
+    left: '🚪 Saiu após o reward',
+    leftDebited: '↩️ Saiu após o reward (descontado dos próximos)',
+    leftReversed: '↩️ Saiu após o reward (estornado)',
+    failed: '❌ Pagamento falhou após {attempts} tentativas',
+    processing: '💸 Pagamento em andamento',
+    imported: '📥 Importado (sem reward)',
+    retry: '🔁 Nova tentativa de pagamento em {time}',
+    hold: '⏳ {time} para o reward',
+    awaiting: '⌛ Aguardando pagamento',
+    awaitingNext: '⌛ Aguardando pagamento (próxima verificação em {time})',
+    title: 'Lista de membros trazidos por {user}'
+  },
+
+  leaderboard: {
+    periods: {
+      today: 'Hoje',
+      week: 'Últimos 7 dias',
+      month: 'Últimos 30 dias',
+      all: 'Todo o período'
+    },
+    today: 'hoje',
+    line: '{rank} <@{user}> — {joins} joins — {coins} coins',
+    viewer: 'Sua posição: #{rank} de {total} — {joins} joins, {coins} coins',
+    viewerMissing: 'Você ainda não aparece neste ranking',
+    title: 'Leaderboard de invites — {period}',
+    empty: 'Nenhum invite neste período.',
+    you: 'Você',
+    footer: 'Página {page}/{pages} — ordenado por {sort}',
+    sortedBy: {
+      joins: 'joins válidos',
+      coins: 'coins ganhos'
+    },
+    myPosition: 'Minha posição',
+    invalidPeriod: 'Período inválido: use from/to no formato AAAA-MM-DD (from antes de to).',
+    expired: 'Este leaderboard expirou, use /leaderboard novamente.'
+  },
+
+  milestone: {
+    needBonusOrRole: 'Informe um bônus e/ou um cargo para o milestone.',
+    invalidBonus: 'Bônus inválido: use um número maior que zero (ex: 0.001).',
+    roleNotEditable: 'Não consigo dar o cargo {role}: ele precisa estar abaixo do meu cargo e eu preciso de Manage Roles.',
+    saved: 'Milestone de {threshold} invites salvo: bônus {bonus}{role}.',
+    savedRole: ', cargo {role}',
+    none: 'nenhum',
+    removed: 'Milestone de {threshold} invites removido.',
+    notFound: 'Nenhum milestone de {threshold} invites.',
+    empty: 'Nenhum milestone configurado. Use /milestone set.',
+    listTitle: 'Milestones de invites',
+    listLine: '**{threshold} invites** — bônus: {bonus}',
+    listRole: ' — cargo: <@&{role}>'
+  },
+
+  attribute: {
+    noRecord: 'Nenhum join registrado para <@{user}>.',
+    alreadyAttributed: 'O join de <@{user}> já está atribuído a <@{inviter}>.',
+    failed: 'Não foi possível atribuir este join (ele mudou enquanto isso).',
+    title: 'Join Atribuído Manualmente',
+    doneRejected: 'Join de <@{user}> atribuído a <@{inviter}>, mas rejeitado: {reason}.',
+    done: 'Join de <@{user}> atribuído a <@{inviter}>; o reward segue o tempo mínimo normal.'
+  },
+
+  unattributed: {
+    empty: 'Nenhum join sem inviter. 🎉',
+    invite: 'invite {code}',
+    candidates: 'possíveis: {codes}',
+    title: 'Joins sem inviter',
+    footer: '{shown} de {total} — use /attribute member inviter para atribuir'
+  },
+
+  inviteOwner: {
+    needOwner: 'Informe o dono (user) ou use house:true.',
+    noHouse: 'Nenhuma conta da casa configurada: use /config set house_account primeiro.',
+    set: 'Joins pelo invite `{code}` agora pagam {owner}. Joins já registrados sem inviter podem ser atribuídos com /attribute.',
+    houseAccount: 'a conta da casa',
+    removed: 'Dono do invite `{code}` removido.',
+    notSet: 'O invite `{code}` não tem dono definido.',
+    empty: 'Nenhum invite com dono definido. Use /invite-owner set.',
+    title: 'Donos de invites',
+    house: 'conta da casa'
+  },
+
+  log: {
+    noPermission: 'Não tenho permissão para enviar mensagens nesse canal.',
+    set: 'Canal de log configurado para {channel}.',
+    cleared: 'Configuração de log removida.',
+    current: 'Os eventos de invite são enviados para {channel}.',
+    cannotSend: ' ⚠️ Não consigo enviar mensagens nesse canal: use /log set para escolher outro.',
+    notSet: 'Nenhum canal de log configurado. Use /log set.'
+  },
+
+  announcements: {
+    // used when the guild has no custom template (/announcements template)
+    defaults: {
+      join: '🎉 {member} entrou no servidor pelo convite de {inviter}!',
+      paid: '💸 {inviter} recebeu {amount} coins por convidar {member}. Total ganho: {total} coins.'
+    },
+    events: {
+      join: 'Novo join',
+      paid: 'Pagamento'
+    },
+    set: 'Anúncios de invites serão enviados para {channel}.',
+    cleared: 'Canal de anúncios removido: anúncios desativados.',
+    templateSet: 'Mensagem de "{event}" atualizada. Prévia:\n{preview}',
+    templateReset: 'Mensagem de "{event}" voltou ao padrão. Prévia:\n{preview}',
+    title: 'Anúncios de invites',
+    channel: 'Canal',
+    off: 'Desativados (use /announcements set)',
+    custom: '{event} (personalizada)',
+    default: '{event} (padrão)',
+    placeholders: 'Variáveis: {inviter} quem convidou, {member} membro(s) convidado(s), {amount} valor do reward, {total} total ganho pelo inviter'
+  },
+
+  notifications: {
+    enabled: '🔔 Você vai receber uma DM quando alguém entrar pelo seu convite e quando for pago neste servidor (suas DMs precisam estar abertas).',
+    disabled: '🔕 DMs de invites desativadas neste servidor.',
+    statusOn: '🔔 DMs ativadas neste servidor. Use /notifications off para desativar.',
+    statusOff: '🔕 DMs desativadas neste servidor. Use /notifications on para ativar.',
+    joinTitle: 'Novo membro pelo seu convite em {guild}',
+    paidTitle: 'Você recebeu rewards de invites em {guild}',
+    total: 'Total ganho',
+    footer: 'Use /notifications off no servidor para parar de receber estas mensagens.'
+  },
+
+  apiToken: {
+    created: '🔑 Novo token da API (só aparece agora, guarde em local seguro; o anterior deixou de funcionar):\n`{token}`\nUse no header `Authorization: Bearer <token>` em `/api/guilds/{guild}/...` ou abra `/dashboard/{guild}?token=<token>`.',
+    revoked: 'Token da API removido: ninguém mais acessa os dados desta guild pela API.',
+    none: 'Esta guild não tem token da API. Use /api-token create.',
+    status: '🔑 Token da API ativo, criado <t:{time}:R>. Use /api-token create para trocar ou /api-token revoke para remover.',
+    apiDisabled: '\n⚠️ A API HTTP está desligada neste bot (API_PORT não configurada): o token só funciona depois que ela for ligada.'
+  },
+
+  dashboard: {
+    title: 'InviteReward — {guild}',
+    generatedAt: 'Gerado em {time}',
+    empty: 'Nada por aqui.',
+    totals: {
+      joins: 'Entradas registradas',
+      paid: 'Rewards pagos',
+      pending: 'Pagamentos na fila',
+      rejected: 'Rejeitados',
+      failed: 'Pagamentos com falha',
+      unattributed: 'Sem inviter',
+      paidAmount: 'Coins pagos (rewards)',
+      milestoneBonuses: 'Coins pagos (milestones)',
+      paidLastWeek: 'Pagos nos últimos 7 dias'
+    },
+    leaderboard: 'Leaderboard',
+    pending: 'Fila de pagamentos',
+    failures: 'Rewards com falha',
+    failedBonuses: 'Bônus de milestone com falha',
+    columns: {
+      rank: '#',
+      inviter: 'Inviter',
+      validJoins: 'Entradas válidas',
+      coins: 'Coins',
+      member: 'Membro',
+      status: 'Status',
+      eligible: 'Elegível em',
+      attempts: 'Tentativas',
+      error: 'Último erro',
+      joined: 'Entrou em',
+      threshold: 'Meta',
+      amount: 'Valor'
+    }
+  },
+
+  config: {
+    invalidWorth: 'Valor inválido para worth: use um número maior que zero (ex: 0.00001).',
+    invalidLowBalance: 'Valor inválido para low_balance: use um número maior ou igual a zero.',
+    title: 'Configuração de rewards',
+    rewards: 'Rewards',
+    enabled: 'Ativados',
+    disabled: 'Desativados (pagamentos pausados)',
+    worth: 'Valor por membro',
+    minStay: 'Tempo mínimo',
+    logChannel: 'Canal de log',
+    minAccountAge: 'Idade mínima da conta',
+    dailyCap: 'Limite diário por inviter',
+    rejoins: 'Reentradas',
+    rejoinsCount: 'Contam',
+    rejoinsRejected: 'Rejeitadas',
+    clawback: 'Clawback',
+    houseAccount: 'Conta da casa',
+    lowBalance: 'Alerta de saldo baixo',
+    lowBalanceBelow: 'Abaixo de {value}',
+    lowBalanceQueue: 'Só quando não cobre a fila',
+    language: 'Idioma',
+    none: 'Nenhum',
+    noneFem: 'Nenhuma',
+    noLimit: 'Sem limite',
+    off: 'Desativado'
+  },
+
+  balance: {
+    title: 'Saldo de pagamento',
+    unlimited: 'Sem limite ({provider})',
+    runwayUnlimited: 'Ilimitada',
+    unavailable: 'Indisponível (falha ao consultar a API)',
+    noCard: 'Nenhum card configurado',
+    runwayDays: '{days} dias (média de {rate}/dia)',
+    noRecentPayments: 'Sem pagamentos nos últimos 7 dias',
+    paidLastWeek: 'Pago nos últimos 7 dias',
+    runway: 'Autonomia',
+    belowQueue: '⚠️ O saldo não cobre os rewards pendentes: pagamentos sem saldo ficam pausados.'
+  },
+
+  admin: {
+    // /invite-admin action -> text used in replies, the log channel and admin_audit
+    actions: {
+      view: 'Ver registro',
+      mark_paid: 'Marcar como pago',
+      mark_unpaid: 'Marcar como não pago',
+      void: 'Anular reward',
+      retry: 'Repetir pagamento',
+      blacklist: 'Adicionar à blacklist',
+      unblacklist: 'Remover da blacklist',
+      reset: 'Zerar estatísticas'
+    },
+    recordTitle: 'Registro de join #{id}',
+    noInviter: '(sem inviter)',
+    joined: 'Entrou',
+    paid: 'Pago',
+    no: 'Não',
+    batch: 'Lote',
+    batchValue: '#{id} — {status} ({count} join(s), {amount})',
+    lastError: 'Último erro',
+    left: 'Saiu',
+    memberBlacklisted: 'Membro na blacklist',
+    inviterBlacklisted: 'Inviter na blacklist',
+    alreadyBlacklisted: '<@{user}> já está na blacklist.',
+    notBlacklisted: '<@{user}> não está na blacklist.',
+    noRecord: 'Nenhum registro de join de <@{user}> nesta guild.',
+    inFlight: 'Este reward está com um pagamento em andamento (ou aguardando nova tentativa em lote). Aguarde ele terminar.',
+    alreadyPaid: 'Este reward já está pago.',
+    attributeFirst: 'Este join não tem inviter: use /attribute antes.',
+    onlyPaid: 'Só rewards com status paid podem ser marcados como não pagos.',
+    unpaidNote: 'marcado como não pago por um admin',
+    onlyUnpaid: 'Só rewards não pagos podem ser anulados (status atual: {status}).',
+    voidNote: 'anulado por um admin: {reason}',
+    onlyFailed: 'Só pagamentos que falharam podem ser repetidos (status atual: {status}).',
+    invalidAction: 'Ação inválida.',
+    actionTitle: 'Ação de admin: {action}',
+    results: {
+      blacklisted: 'Não ganha nem gera rewards. {rejected} reward(s) pendente(s) rejeitado(s).',
+      unblacklisted: 'Pode voltar a ganhar e gerar rewards (joins rejeitados antes continuam rejeitados).',
+      reset: '{deleted} registro(s) de joins do inviter removido(s). Milestones já pagos não são pagos de novo.',
+      markedPaid: 'Marcado como pago ({amount}, tx {tx}).',
+      markedUnpaid: 'Voltou para falhou (tx anterior: {tx}). Use /invite-admin retry para pagar de novo.',
+      voided: 'Reward anulado: nunca será pago.',
+      requeued: 'Pagamento voltou para a fila e será feito na próxima verificação.'
+    }
+  },
+
+  export: {
+    invalidDates: 'Datas inválidas: use o formato YYYY-MM-DD.',
+    fromAfterTo: 'A data inicial precisa ser antes da final.',
+    range: 'joins de {from} até {to}',
+    start: 'início',
+    today: 'hoje',
+    inviter: 'inviter <@{user}>',
+    done: '{count} registro(s) exportado(s){filters}.'
+  },
+
+  import: {
+    needFile: 'Envie um arquivo .csv ou .json.',
+    tooLarge: 'Arquivo muito grande (máximo {max} MB).',
+    noRecords: 'JSON sem lista de registros',
+    readFailed: 'Não foi possível ler o arquivo: {error}',
+    line: 'linha {line}: {error}',
+    invalidField: '{field} inválido',
+    title: 'Registros Importados',
+    file: 'Arquivo',
+    noName: '(sem nome)',
+    imported: 'Importados',
+    skipped: 'Já registrados (ignorados)',
+    invalid: 'Inválidos',
+    unpaid: 'Não pagos',
+    unpaidPay: 'Viram pendentes e serão pagos',
+    unpaidHistory: 'Só histórico (nunca pagos)',
+    rejected: 'Rejeitados pelas regras anti-abuso',
+    errors: 'Erros',
+    more: '… e mais {count}'
+  },
+
+  // slash command descriptions / choice names (description_localizations, name_localizations)
+  commands: {
+    invites: {
+      description: 'Mostra a lista de invites de um usuário e total de coins arrecadado',
+      user: 'Usuário a ser consultado'
+    },
+    list: {
+      description: 'Lista membros que entraram pelos seus invites',
+      user: 'Usuário a ser consultado'
+    },
+    leaderboard: {
+      description: 'Ranking de quem mais trouxe membros para o servidor',
+      period: 'Período do ranking',
+      periods: {
+        today: 'Hoje',
+        week: 'Últimos 7 dias',
+        month: 'Últimos 30 dias',
+        all: 'Todo o período',
+        custom: 'Personalizado (use from/to)'
+      },
+      sort: 'Ordenar por',
+      sorts: {
+        joins: 'Joins válidos',
+        coins: 'Coins ganhos'
+      },
+      from: 'Data inicial (AAAA-MM-DD) para período personalizado',
+      to: 'Data final (AAAA-MM-DD, inclusiva) para período personalizado'
+    },
+    milestone: {
+      description: 'Configura bônus por quantidade de invites (admins only)',
+      actions: {
+        list: 'Listar',
+        set: 'Adicionar/alterar',
+        remove: 'Remover'
+      },
+      invites: 'Quantidade de invites pagos do milestone',
+      bonus: 'Bônus pago ao atingir o milestone (ex: 0.001)',
+      role: 'Cargo dado ao atingir o milestone'
+    },
+    attribute: {
+      description: 'Atribui manualmente um join sem inviter (vanity, discovery, desconhecido) (admins only)',
+      member: 'Membro que entrou',
+      inviter: 'Quem deve receber o reward',
+      invite: 'Código do invite usado (opcional)'
+    },
+    unattributed: {
+      description: 'Lista joins sem inviter, que não serão pagos até serem atribuídos (admins only)'
+    },
+    inviteOwner: {
+      description: 'Define quem recebe os rewards de um código de invite (admins only)',
+      actions: {
+        list: 'Listar',
+        set: 'Definir dono',
+        remove: 'Remover'
+      },
+      code: 'Código do invite (ou da URL personalizada)',
+      user: 'Usuário dono do invite',
+      house: 'Usar a conta da casa (/config set house_account) como dona'
+    },
+    log: {
+      description: 'Configura canal de log para eventos de invite (admins only)',
+      set: 'Define o canal de log',
+      channel: 'Canal de texto para os logs',
+      clear: 'Remove o canal de log',
+      show: 'Mostra o canal de log atual'
+    },
+    announcements: {
+      description: 'Canal público de anúncios de joins e pagamentos, com mensagens personalizáveis (admins only)',
+      set: 'Define o canal de anúncios',
+      channel: 'Canal de texto para os anúncios',
+      clear: 'Desativa os anúncios',
+      template: 'Personaliza a mensagem de um evento ({inviter}, {member}, {amount}, {total})',
+      event: 'Evento da mensagem',
+      text: 'Nova mensagem (vazio volta ao padrão; \\n quebra a linha)',
+      show: 'Mostra o canal e as mensagens atuais'
+    },
+    notifications: {
+      description: 'Liga/desliga DMs sobre os seus invites neste servidor',
+      on: 'Receber DM quando alguém entrar pelo seu convite e quando você for pago',
+      off: 'Parar de receber DMs',
+      status: 'Mostra se as DMs estão ativadas'
+    },
+    apiToken: {
+      description: 'Token de acesso à API HTTP e ao dashboard desta guild (admins only)',
+      create: 'Gera um novo token (o anterior deixa de funcionar)',
+      revoke: 'Remove o token da API',
+      status: 'Mostra se há um token ativo'
+    },
+    balance: {
+      description: 'Mostra saldo do card de pagamento, rewards pendentes e autonomia (admins only)'
+    },
+    inviteAdmin: {
+      description: 'Moderação dos registros de invite: ver, corrigir pagamentos, blacklist (admins only)',
+      actions: {
+        view: 'Ver registro do join',
+        mark_paid: 'Marcar como pago',
+        mark_unpaid: 'Marcar como não pago',
+        void: 'Anular reward pendente',
+        retry: 'Repetir pagamento que falhou',
+        blacklist: 'Adicionar à blacklist',
+        unblacklist: 'Remover da blacklist',
+        reset: 'Zerar estatísticas do inviter'
+      },
+      member: 'Membro que entrou (registro) ou usuário (blacklist, zerar)',
+      reason: 'Motivo (obrigatório para anular)',
+      tx: 'Id da transação (marcar como pago)'
+    },
+    export: {
+      description: 'Exporta os registros de invites desta guild em CSV ou JSON (admins only)',
+      format: 'Formato do arquivo (padrão: CSV)',
+      from: 'Joins a partir de (YYYY-MM-DD, UTC)',
+      to: 'Joins até (YYYY-MM-DD, UTC, inclusivo)',
+      inviter: 'Só os joins deste inviter'
+    },
+    import: {
+      description: 'Importa registros de invites de um CSV/JSON (export ou outro tracker) (admins only)',
+      file: 'Arquivo .csv ou .json com os registros',
+      payPending: 'Registros não pagos viram pendentes e são pagos pelo bot (padrão: não)'
+    },
+    config: {
+      description: 'Configura os rewards de invite desta guild (admins only)',
+      show: 'Mostra as configurações atuais',
+      set: 'Altera só as configurações informadas',
+      worth: 'Valor pago por membro convidado (ex: 0.00001)',
+      card: 'Card usado para pagar os rewards',
+      minStay: 'Tempo mínimo (minutos) no servidor antes do reward',
+      enabled: 'Ativar/desativar pagamentos de rewards',
+      minAccountAge: 'Idade mínima (dias) da conta do convidado, 0 desativa',
+      dailyCap: 'Máximo de joins válidos por inviter a cada 24h, 0 = sem limite',
+      allowRejoins: 'Contar usuários que já entraram antes no servidor',
+      clawbackWindow: 'Horas após o pagamento em que a saída do membro estorna o reward, 0 desativa',
+      clawbackMode: 'O que fazer quando o membro sai dentro da janela',
+      provider: 'Como os rewards são pagos',
+      providers: {
+        card: 'Coin API (card)',
+        ledger: 'Pontos internos (ledger)',
+        dryrun: 'Simulação (dry-run, não paga)'
+      },
+      houseAccount: 'Conta da casa, dona dos invites marcados como house',
+      lowBalance: 'Avisar no canal de log quando o saldo do card ficar abaixo deste valor, 0 desativa',
+      language: 'Idioma padrão do bot nesta guild (canal de log e quem usa o Discord em outro idioma)',
+      reset: 'Volta aos valores padrão do bot'
+    }
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * monitoring/logger.js — logs estruturados com nível
+ *
+ * Cada linha é um JSON { time, level, tag, msg, ...campos } (LOG_FORMAT=json, padrão) ou uma linha
+ * legível "time LEVEL [tag] msg campo=valor" (LOG_FORMAT=text). Linhas abaixo de LOG_LEVEL são
+ * descartadas; warn e error vão para o stderr.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['json', 'text'];
+
+const config = { level: 'info', format: 'json', stdout: process.stdout, stderr: process.stderr };
+
+/** level / format / output streams (tests capture the lines through them) */
+function configureLogger(options = {}) {
+  if (LOG_LEVELS.includes(options.level)) config.level = options.level;
+  if (LOG_FORMATS.includes(options.format)) config.format = options.format;
+  if (options.stdout) config.stdout = options.stdout;
+  if (options.stderr) config.stderr = options.stderr;
+}
+
+/** Errors become their message; undefined fields are dropped */
+function normalizeFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value === undefined) continue;
+    out[key] = value instanceof Error ? value.message : value;
+  }
+  return out;
+}
+
+function formatText(entry) {
+  const { time, level, tag, msg, ...fields } = entry;
+  const extra = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase(), `[${tag}]`, msg, ...extra].join(' ');
+}
+
+function write(level, tag, msg, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.level)) return;
+  const entry = { time: new Date().toISOString(), level, tag, msg, ...normalizeFields(fields) };
+  let line;
+  try {
+    line = config.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+  } catch (e) {
+    // circular or BigInt field: keep the message rather than losing the line
+    line = JSON.stringify({ time: entry.time, level, tag, msg });
+  }
+  (level === 'warn' || level === 'error' ? config.stderr : config.stdout).write(line + '\n');
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  configureLogger,
+  debug: (tag, msg, fields) => write('debug', tag, msg, fields),
+  info: (tag, msg, fields) => write('info', tag, msg, fields),
+  warn: (tag, msg, fields) => write('warn', tag, msg, fields),
+  error: (tag, msg, fields) => write('error', tag, msg, fields)
+};
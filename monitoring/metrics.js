@@ -0,0 +1,100 @@
+/**
+ * monitoring/metrics.js — contadores e gauges em memória, no formato de texto do Prometheus
+ *
+ * Os valores zeram quando o processo reinicia (o Prometheus trata o reset dos contadores).
+ */
+
+/** Label set -> stable map key and the `{a="1",b="2"}` text of the exposition format */
+function labelKey(labels) {
+  const entries = Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(name, help, type) {
+    if (metrics.some(m => m.name === name)) throw new Error(`duplicate metric: ${name}`);
+    const metric = { name, help, type, values: new Map(), collect: null };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /** Monotonic counter: inc(labels?, amount = 1) */
+  function counter(name, help) {
+    const metric = register(name, help, 'counter');
+    return {
+      inc(labels = {}, amount = 1) {
+        if (!(amount >= 0)) return;
+        const key = labelKey(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + amount);
+      },
+      get: (labels = {}) => metric.values.get(labelKey(labels)) || 0
+    };
+  }
+
+  /** Gauge: set(labels?, value), or `collect` returning the value (or [{ labels, value }]) at scrape time */
+  function gauge(name, help, collect = null) {
+    const metric = register(name, help, 'gauge');
+    metric.collect = collect;
+    return {
+      set(labels, value) {
+        if (value === undefined) [labels, value] = [{}, labels];
+        metric.values.set(labelKey(labels), Number(value));
+      },
+      get: (labels = {}) => metric.values.get(labelKey(labels))
+    };
+  }
+
+  /** Summary without quantiles: observe(value) adds to _sum and _count */
+  function summary(name, help) {
+    const metric = register(name, help, 'summary');
+    return {
+      observe(value, labels = {}) {
+        const key = labelKey(labels);
+        const current = metric.values.get(key) || { sum: 0, count: 0 };
+        metric.values.set(key, { sum: current.sum + value, count: current.count + 1 });
+      },
+      get: (labels = {}) => metric.values.get(labelKey(labels)) || { sum: 0, count: 0 }
+    };
+  }
+
+  /** Exposition text (version 0.0.4) of every metric */
+  async function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        const collected = await metric.collect();
+        metric.values.clear();
+        for (const { labels, value } of Array.isArray(collected) ? collected : [{ labels: {}, value: collected }]) {
+          if (value != null) metric.values.set(labelKey(labels), Number(value));
+        }
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const [key, value] of metric.values) {
+        if (metric.type === 'summary') {
+          lines.push(`${metric.name}_sum${key} ${formatValue(value.sum)}`);
+          lines.push(`${metric.name}_count${key} ${value.count}`);
+        } else {
+          lines.push(`${metric.name}${key} ${formatValue(value)}`);
+        }
+      }
+      // counters without any sample yet are still exported as 0
+      if (metric.values.size === 0 && metric.type === 'counter') lines.push(`${metric.name} 0`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, summary, render };
+}
+
+module.exports = { createMetricsRegistry };
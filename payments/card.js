@@ -0,0 +1,124 @@
+/**
+ * payments/card.js — provider "card": paga pela Coin API com um card
+ *
+ * Endpoints usados (relativos a apiBase):
+ * - POST /api/transfer/card   { cardCode, toId, amount, idempotencyKey }  -> { success, txId }
+ * - POST /api/card/balance    { cardCode }                                -> { success, balance }
+ * - GET  /api/tx/:txId                                                   -> { success, ... }
+ * - POST reversePath          { cardCode, txId, amount }                  -> { success, txId }
+ */
+
+const axios = require('axios');
+
+/** Error text of a failed axios call (API body when there is one) */
+function describeAxiosError(err) {
+  return (err && err.response && err.response.data) ? JSON.stringify(err.response.data) : (err && err.message ? err.message : String(err));
+}
+/**
+ * Error for a rejected call. On HTTP 429 it carries retryAfterMs (Retry-After header, seconds or
+ * HTTP date; 60s when missing) so the scheduler can hold off instead of counting a failed attempt.
+ */
+function apiError(prefix, err) {
+  const error = new Error(`${prefix}: ${describeAxiosError(err)}`);
+  if (err && err.response && err.response.status === 429) {
+    const header = err.response.headers ? err.response.headers['retry-after'] : null;
+    error.retryAfterMs = 60 * 1000;
+    if (header) {
+      const seconds = Number(header);
+      const date = Date.parse(header);
+      if (Number.isFinite(seconds)) error.retryAfterMs = seconds * 1000;
+      else if (Number.isFinite(date)) error.retryAfterMs = Math.max(0, date - Date.now());
+    }
+  }
+  return error;
+}
+/** Reason of a 2xx response that is not a success */
+function describeFailedBody(data) {
+  return data ? (data.error || data.message || JSON.stringify(data)) : 'empty response';
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.apiBase      base URL of the Coin API
+ * @param {string} [opts.reversePath] endpoint used to reverse a transfer (clawback)
+ * @param {number} [opts.timeoutMs]
+ */
+function createCardProvider({ apiBase, reversePath = '/api/transfer/reverse', timeoutMs = 15000 }) {
+  const base = String(apiBase || '').replace(/\/$/, '');
+
+  /** Payment via Coin API
+   * idempotencyKey (optional) is sent as the Idempotency-Key header and in the body, so a retry
+   * of the same reward is recognised by the API instead of paying again.
+   * A 2xx response whose body says success: false is a failure too.
+   */
+  async function transfer({ cardCode, toId, amount, idempotencyKey }) {
+    let resp;
+    try {
+      const body = { cardCode: String(cardCode), toId: String(toId), amount: Number(amount) };
+      const headers = {};
+      if (idempotencyKey) {
+        body.idempotencyKey = String(idempotencyKey);
+        headers['Idempotency-Key'] = String(idempotencyKey);
+      }
+      resp = await axios.post(`${base}/api/transfer/card`, body, { timeout: timeoutMs, headers });
+    } catch (err) {
+      throw apiError('Payment failed', err);
+    }
+    if (resp && resp.data) {
+      if (resp.data.success === true) {
+        return { success: true, txId: resp.data.txId || resp.data.tx_id || null };
+      }
+      if (Object.prototype.hasOwnProperty.call(resp.data, 'success')) {
+        throw new Error(`Payment failed: ${describeFailedBody(resp.data)}`);
+      }
+      return { success: true, txId: resp.data.txId || resp.data.tx_id || null, data: resp.data };
+    }
+    return { success: true, txId: null };
+  }
+
+  /** Balance of the paying card */
+  async function getBalance({ cardCode }) {
+    let resp;
+    try {
+      resp = await axios.post(`${base}/api/card/balance`, { cardCode: String(cardCode) }, { timeout: timeoutMs });
+    } catch (err) {
+      throw apiError('Balance check failed', err);
+    }
+    if (!resp || !resp.data || resp.data.success === false || resp.data.balance == null) {
+      throw new Error(`Balance check failed: ${describeFailedBody(resp && resp.data)}`);
+    }
+    return Number(resp.data.balance);
+  }
+
+  /** Transaction details as returned by the API, or null when unknown */
+  async function getTransaction({ txId }) {
+    try {
+      const resp = await axios.get(`${base}/api/tx/${encodeURIComponent(String(txId))}`, { timeout: timeoutMs });
+      if (!resp || !resp.data || resp.data.success === false) return null;
+      return resp.data.tx || resp.data;
+    } catch (err) {
+      if (err && err.response && err.response.status === 404) return null;
+      throw new Error(`Transaction lookup failed: ${describeAxiosError(err)}`);
+    }
+  }
+
+  /** Reverse a reward transfer. The API must support reversals; callers fall back to debiting the inviter when this throws */
+  async function reverse({ cardCode, txId, amount, idempotencyKey }) {
+    let resp;
+    try {
+      const body = { cardCode: String(cardCode), txId: String(txId), amount: Number(amount) };
+      const headers = idempotencyKey ? { 'Idempotency-Key': String(idempotencyKey) } : {};
+      resp = await axios.post(`${base}${reversePath}`, body, { timeout: timeoutMs, headers });
+    } catch (err) {
+      throw new Error(`Reverse failed: ${describeAxiosError(err)}`);
+    }
+    if (!resp || !resp.data || resp.data.success !== true) {
+      throw new Error(`Reverse failed: ${describeFailedBody(resp && resp.data)}`);
+    }
+    return { success: true, txId: resp.data.txId || resp.data.tx_id || null };
+  }
+
+  return { name: 'card', requiresCard: true, transfer, getBalance, getTransaction, reverse };
+}
+
+module.exports = { createCardProvider };
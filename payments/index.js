@@ -0,0 +1,36 @@
+/**
+ * payments/index.js — registry dos providers de pagamento
+ *
+ * Todo provider implementa:
+ *   name                 'card' | 'ledger' | 'dryrun'
+ *   requiresCard         true quando precisa de um card de origem (settings.receiverCard)
+ *   transfer({ guildId, cardCode, toId, amount, idempotencyKey }) -> { success: true, txId }  (lança erro se falhar;
+ *                        em rate limit o erro traz retryAfterMs e a tentativa não é contada)
+ *   getBalance({ guildId, cardCode })     -> saldo de quem paga, ou null quando não há limite
+ *   getTransaction({ guildId, cardCode, txId }) -> detalhes da transação ou null
+ *   reverse({ guildId, cardCode, txId, amount, idempotencyKey }) -> { success: true, txId }  (clawback)
+ *
+ * O provider de cada guild vem de /config provider, com fallback para PAYMENT_PROVIDER no .env.
+ */
+
+const { createCardProvider } = require('./card');
+const { createLedgerProvider, createDryRunProvider } = require('./local');
+
+const PAYMENT_PROVIDERS = ['card', 'ledger', 'dryrun'];
+
+/**
+ * @param {object} deps
+ * @param {string} deps.apiBase       Coin API base URL (card)
+ * @param {string} [deps.reversePath] Coin API reverse endpoint (card)
+ * @param {function} deps.getDb       returns the open sqlite handle (ledger, dryrun)
+ * @returns {{ [name: string]: object }}
+ */
+function createPaymentProviders({ apiBase, reversePath, getDb }) {
+  return {
+    card: createCardProvider({ apiBase, reversePath }),
+    ledger: createLedgerProvider({ getDb }),
+    dryrun: createDryRunProvider({ getDb })
+  };
+}
+
+module.exports = { PAYMENT_PROVIDERS, createPaymentProviders };
@@ -0,0 +1,84 @@
+/**
+ * payments/local.js — providers que não movem dinheiro real, gravando no próprio SQLite
+ *
+ * - ledger: pontos internos por guild; o saldo de cada usuário é a soma das suas transações
+ * - dryrun: só registra o que teria sido pago (para testar o fluxo sem mover coins)
+ *
+ * Tabela local_transactions (criada pelas migrations do bot.js). Cada transferência é um único
+ * INSERT OR IGNORE com UNIQUE(provider, idempotency_key): um retry com a mesma key devolve a
+ * transação já gravada em vez de pagar de novo.
+ */
+
+const log = require('../monitoring/logger');
+
+/**
+ * @param {string} name       'ledger' | 'dryrun' (also the txId prefix)
+ * @param {function} getDb    returns the open sqlite handle
+ */
+function createLocalProvider(name, getDb) {
+  async function insert({ guildId, toId, amount, kind, refTx, idempotencyKey }) {
+    const db = getDb();
+    const res = await db.run(
+      `INSERT OR IGNORE INTO local_transactions (provider, guild_id, to_id, amount, kind, ref_tx, idempotency_key, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name, guildId, String(toId), String(amount), kind, refTx || null, idempotencyKey || null, Date.now()]
+    );
+    let id = res && res.changes > 0 ? res.lastID : null;
+    if (!id && idempotencyKey) {
+      const existing = await db.get(`SELECT id FROM local_transactions WHERE provider = ? AND idempotency_key = ?`, [name, idempotencyKey]);
+      id = existing ? existing.id : null;
+    }
+    if (!id) throw new Error(`${name}: failed to record transaction`);
+    return { success: true, txId: `${name}-${id}` };
+  }
+
+  function parseTxId(txId) {
+    const m = new RegExp(`^${name}-(\\d+)$`).exec(String(txId || ''));
+    return m ? Number(m[1]) : null;
+  }
+
+  async function transfer({ guildId, toId, amount, idempotencyKey }) {
+    const result = await insert({ guildId, toId, amount: Number(amount), kind: 'credit', idempotencyKey });
+    if (name === 'dryrun') log.info('dry-run', 'would pay', { guild_id: guildId, to_id: toId, amount, tx: result.txId });
+    return result;
+  }
+
+  /** The paying side of a local provider has no funds limit */
+  async function getBalance() {
+    return null;
+  }
+
+  async function getTransaction({ txId }) {
+    const id = parseTxId(txId);
+    if (id == null) return null;
+    const row = await getDb().get(`SELECT * FROM local_transactions WHERE provider = ? AND id = ?`, [name, id]);
+    return row || null;
+  }
+
+  async function reverse({ txId, amount, idempotencyKey }) {
+    const original = await getTransaction({ txId });
+    if (!original) throw new Error(`Reverse failed: ${name} transaction ${txId} not found`);
+    const reversed = Number(amount != null ? amount : original.amount);
+    return insert({ guildId: original.guild_id, toId: original.to_id, amount: -reversed, kind: 'reverse', refTx: txId, idempotencyKey });
+  }
+
+  /** Points balance of a user in a guild (sum of credits and reversals) */
+  async function getAccountBalance({ guildId, userId }) {
+    const row = await getDb().get(
+      `SELECT SUM(CAST(amount AS REAL)) as total FROM local_transactions WHERE provider = ? AND guild_id = ? AND to_id = ?`,
+      [name, guildId, String(userId)]
+    );
+    return row && row.total ? Number(row.total) : 0;
+  }
+
+  return { name, requiresCard: false, transfer, getBalance, getTransaction, reverse, getAccountBalance };
+}
+
+function createLedgerProvider({ getDb }) {
+  return createLocalProvider('ledger', getDb);
+}
+function createDryRunProvider({ getDb }) {
+  return createLocalProvider('dryrun', getDb);
+}
+
+module.exports = { createLedgerProvider, createDryRunProvider };
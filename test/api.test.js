@@ -0,0 +1,118 @@
+/**
+ * test/api.test.js — API HTTP: token por guild, cada rota só devolve dados da própria guild, dashboard escapado
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { createTestBot } = require('./helpers/bot');
+const { createFakeGuild } = require('./helpers/fakes');
+const { hashApiToken } = require('../api');
+
+const OTHER_GUILD = 'guild-2';
+
+/**
+ * Bot with the API on a free port and two guilds, each with its own token ('token-1' for
+ * t.guild, 'token-2' for OTHER_GUILD) and its own joins: inviter-1 invited member-1 (pending) and
+ * member-f (failed) in t.guild, member-2 (paid) in OTHER_GUILD.
+ */
+async function apiBot() {
+  const t = await createTestBot();
+  t.client.guilds.cache.set(OTHER_GUILD, createFakeGuild({ id: OTHER_GUILD, name: 'Other guild' }));
+  for (const [guildId, token] of [[t.guild.id, 'token-1'], [OTHER_GUILD, 'token-2']]) {
+    await t.db.run(`INSERT INTO guild_config (guild_id, api_token_hash, api_token_created_at) VALUES (?, ?, ?)`, [guildId, hashApiToken(token), Date.now()]);
+  }
+  const rows = [
+    [t.guild.id, 'member-1', 'pending', 0, null],
+    [t.guild.id, 'member-f', 'failed', 0, '<b>card locked</b>'],
+    [OTHER_GUILD, 'member-2', 'paid', 1, null]
+  ];
+  for (const [guildId, joinedId, status, paid, lastError] of rows) {
+    await t.db.run(
+      `INSERT INTO invite_rewards (guild_id, invite_code, inviter_id, joined_id, joined_at, paid, status, last_error) VALUES (?, 'a', 'inviter-1', ?, ?, ?, ?, ?)`,
+      [guildId, joinedId, Date.now() - 1000, paid, status, lastError]
+    );
+  }
+
+  const server = t.bot.startApiServer(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  t.get = (path, token) => fetch(`${base}${path}`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+  return t;
+}
+
+const ROUTES = ['summary', 'leaderboard', 'inviters/inviter-1', 'pending', 'failures'];
+
+test('guild routes need the token of that guild', async () => {
+  const t = await apiBot();
+  try {
+    for (const route of ROUTES) {
+      const path = `/api/guilds/${t.guild.id}/${route}`;
+      for (const token of [null, 'wrong-token', 'token-2']) {
+        const res = await t.get(path, token);
+        assert.equal(res.status, 401, `${path} with ${token}`);
+        assert.deepEqual(await res.json(), { error: 'unauthorized' });
+      }
+      assert.equal((await t.get(path, 'token-1')).status, 200, path);
+    }
+    // the dashboard takes the token from the query string too
+    assert.equal((await t.get(`/dashboard/${t.guild.id}?token=token-2`)).status, 401);
+    assert.equal((await t.get(`/dashboard/${t.guild.id}?token=token-1`)).status, 200);
+    assert.equal((await t.get('/api/guilds/unknown-guild/summary', 'token-1')).status, 401);
+  } finally {
+    await t.close();
+  }
+});
+
+test('each route only returns data of its own guild', async () => {
+  const t = await apiBot();
+  try {
+    const json = async (route, token = 'token-1', guildId = t.guild.id) => {
+      const res = await t.get(`/api/guilds/${guildId}/${route}`, token);
+      assert.equal(res.status, 200);
+      return res.json();
+    };
+
+    const summary = await json('summary');
+    assert.equal(summary.totals.joins, 2);
+    assert.equal(summary.totals.paid_count, 0);
+
+    const leaderboard = await json('leaderboard');
+    assert.deepEqual(leaderboard.inviters.map(r => [r.inviter_id, r.valid_joins, r.paid_count]), [['inviter-1', 2, 0]]);
+
+    const inviter = await json('inviters/inviter-1');
+    assert.deepEqual(inviter.joins.map(j => j.joined_id).sort(), ['member-1', 'member-f']);
+
+    assert.deepEqual((await json('pending')).payments.map(p => p.joined_id), ['member-1']);
+    assert.deepEqual((await json('failures')).rewards.map(r => r.joined_id), ['member-f']);
+
+    // and the other guild sees only its own join
+    const other = await json('inviters/inviter-1', 'token-2', OTHER_GUILD);
+    assert.deepEqual(other.joins.map(j => j.joined_id), ['member-2']);
+    assert.deepEqual((await json('pending', 'token-2', OTHER_GUILD)).payments, []);
+    assert.equal((await json('summary', 'token-2', OTHER_GUILD)).totals.paid_count, 1);
+  } finally {
+    await t.close();
+  }
+});
+
+test('the dashboard escapes guild names, user names and errors', async () => {
+  const t = await apiBot();
+  try {
+    t.guild.name = '<script>alert("guild")</script>';
+    t.client.users.cache.set('inviter-1', { id: 'inviter-1', tag: '<img src=x onerror=alert(1)>' });
+
+    const res = await t.get(`/dashboard/${t.guild.id}?token=token-1`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+    const html = await res.text();
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(!html.includes('<b>card locked</b>'));
+    assert.ok(html.includes('&lt;script&gt;'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(html.includes('&lt;b&gt;card locked&lt;/b&gt;'));
+  } finally {
+    await t.close();
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * test/helpers/bot.js — bot com SQLite em memória, client falso e a Coin API falsa
+ */
+
+const { createBot } = require('../../bot');
+const { loadConfig } = require('../../config');
+const log = require('../../monitoring/logger');
+const { createFakeClient, createFakeGuild, createFakeInteraction } = require('./fakes');
+const { startCoinApi } = require('./coin-api');
+
+// keep the test output clean; the lines are still built (a broken log call fails the test)
+const discard = { write() {} };
+log.configureLogger({ level: 'debug', stdout: discard, stderr: discard });
+
+/**
+ * Fresh bot for one test: one fake guild already synced (as after the 'ready' event), payouts
+ * through the card provider against the fake API. `env` overrides the .env-style settings.
+ */
+async function createTestBot(env = {}, { balance } = {}) {
+  const api = await startCoinApi({ balance });
+  const guild = createFakeGuild();
+  const client = createFakeClient([guild]);
+  const bot = createBot({
+    client,
+    config: loadConfig({
+      DISCORD_TOKEN: 'test',
+      DB_PATH: ':memory:',
+      API_BASE: api.url,
+      RECEIVER_CARD: 'card-1',
+      WORTH: '0.5',
+      MIN_STAY_MS: '0',
+      PAYMENT_RETRY_BASE_MS: '0',
+      PAYMENT_MAX_ATTEMPTS: '3',
+      ...env
+    })
+  });
+  await bot.initDb();
+  const db = bot.getDb();
+
+  return {
+    bot,
+    api,
+    guild,
+    client,
+    db,
+    /** Set up the guild's invites and sync them like the bot does on 'ready' */
+    async sync() {
+      await bot.reconcileGuild(guild);
+    },
+    /** Member joins (see createFakeGuild().join) and the bot handles guildMemberAdd */
+    async join(userId, code, options) {
+      await bot.handleGuildMemberAdd(guild.join(userId, code, options));
+    },
+    async leave(userId) {
+      await bot.handleGuildMemberRemove(guild.leave(userId));
+    },
+    /** Slash command or button of an admin (see createFakeInteraction); returns the interaction */
+    async interact(options) {
+      const interaction = createFakeInteraction(guild, options);
+      await bot.handleInteraction(interaction);
+      return interaction;
+    },
+    reward: joinedId => db.get(`SELECT * FROM invite_rewards WHERE guild_id = ? AND joined_id = ?`, [guild.id, joinedId]),
+    async close() {
+      await bot.shutdown('test');
+      await api.close();
+    }
+  };
+}
+
+module.exports = { createTestBot };
@@ -0,0 +1,62 @@
+/**
+ * test/helpers/coin-api.js — Coin API falsa (HTTP local) para o provider card
+ *
+ * Guarda as transferências e responde como a API real: a mesma Idempotency-Key devolve a
+ * transação já feita em vez de pagar de novo. `failures` é uma fila de respostas de erro usadas
+ * nas próximas transferências ({ status, body, headers, applied }); com applied: true a
+ * transferência é feita e só a resposta se perde (timeout / conexão caída depois do débito).
+ */
+
+const http = require('http');
+
+async function startCoinApi({ balance = 100 } = {}) {
+  const state = { balance, transfers: [], byKey: new Map(), failures: [], requests: 0 };
+
+  function reply(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function transfer(body, key) {
+    if (key && state.byKey.has(key)) return state.byKey.get(key);
+    const tx = { txId: `tx-${state.transfers.length + 1}`, toId: body.toId, amount: Number(body.amount), cardCode: body.cardCode, key };
+    state.transfers.push(tx);
+    state.balance -= tx.amount;
+    if (key) state.byKey.set(key, tx);
+    return tx;
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      if (req.method === 'POST' && req.url === '/api/card/balance') {
+        return reply(res, 200, { success: true, balance: state.balance });
+      }
+      if (req.method === 'POST' && req.url === '/api/transfer/card') {
+        state.requests++;
+        const key = req.headers['idempotency-key'] || null;
+        const failure = state.failures.shift();
+        if (failure) {
+          if (failure.applied) transfer(body, key);
+          return reply(res, failure.status || 500, failure.body || { success: false, error: 'internal error' }, failure.headers);
+        }
+        if (!(key && state.byKey.has(key)) && state.balance < Number(body.amount)) {
+          return reply(res, 200, { success: false, error: 'insufficient funds' });
+        }
+        return reply(res, 200, { success: true, txId: transfer(body, key).txId });
+      }
+      return reply(res, 404, { success: false, error: 'not found' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startCoinApi };
@@ -0,0 +1,119 @@
+/**
+ * test/helpers/fakes.js — client e guild falsos do Discord, com a mesma forma usada pelo bot
+ *
+ * Invites, membros e vanity URL são dados simples que o teste altera; guild.join() / guild.leave()
+ * devolvem o member que vai para os handlers (bot.handleGuildMemberAdd / handleGuildMemberRemove).
+ */
+
+const { EventEmitter } = require('events');
+
+function createFakeGuild({ id = 'guild-1', name = 'Test guild', features = [] } = {}) {
+  const invites = new Map();
+  const members = new Map();
+  let vanity = null;
+
+  const guild = {
+    id,
+    name,
+    features,
+    available: true,
+    vanityURLCode: null,
+    members: {
+      cache: members,
+      me: { id: 'bot' },
+      fetch: async userId => {
+        if (userId === undefined) return members;
+        if (!members.has(userId)) throw new Error('Unknown Member');
+        return members.get(userId);
+      }
+    },
+    invites: {
+      fetch: async () => new Map(Array.from(invites.values(), inv => [inv.code, { ...inv }]))
+    },
+    fetchVanityData: async () => {
+      if (!vanity) throw new Error('no vanity URL');
+      return { ...vanity };
+    },
+
+    /** Invite created by `inviterId` (null: widget / integration invite without an inviter) */
+    addInvite(code, inviterId, { uses = 0, bot = false } = {}) {
+      invites.set(code, { code, uses, inviter: inviterId ? { id: inviterId, bot } : null });
+    },
+    setVanity(code, uses = 0) {
+      vanity = { code, uses };
+      guild.vanityURLCode = code;
+    },
+    /** Member joining through invite `code`, the vanity URL ('vanity') or nothing the bot can see (null) */
+    join(userId, code = null, { createdTimestamp = 0 } = {}) {
+      if (code === 'vanity') vanity.uses++;
+      else if (code) invites.get(code).uses++;
+      const member = {
+        id: userId,
+        guild,
+        joinedTimestamp: Date.now(),
+        user: { id: userId, tag: `${userId}#0001`, bot: false, createdTimestamp },
+        roles: { add: async () => {} }
+      };
+      members.set(userId, member);
+      return member;
+    },
+    leave(userId) {
+      const member = members.get(userId) || { id: userId, guild, user: { id: userId } };
+      members.delete(userId);
+      return member;
+    }
+  };
+  return guild;
+}
+
+/** Client with the guilds above; log channels and DMs go nowhere */
+function createFakeClient(guilds = []) {
+  const client = new EventEmitter();
+  const guildCache = new Map(guilds.map(g => [g.id, g]));
+  client.user = { id: 'bot', tag: 'bot#0001' };
+  client.ws = { ping: 0 };
+  client.guilds = {
+    cache: guildCache,
+    fetch: async guildId => {
+      if (!guildCache.has(guildId)) throw new Error('Unknown Guild');
+      return guildCache.get(guildId);
+    }
+  };
+  client.channels = { fetch: async () => null };
+  client.users = { cache: new Map(), fetch: async userId => ({ id: userId, send: async () => {} }) };
+  client.application = { commands: { set: async () => {} } };
+  client.isReady = () => true;
+  client.login = async () => 'ok';
+  client.destroy = async () => {};
+  return client;
+}
+
+/**
+ * Interaction for bot.handleInteraction, sent by an admin of `guild`: a slash command
+ * (commandName + options by name) or a button (customId). Replies, edits, updates and followUps
+ * are kept in `replies`, in order.
+ */
+function createFakeInteraction(guild, { commandName = null, customId = null, options = {}, userId = 'admin-1', locale = 'en-US' } = {}) {
+  const option = name => (options[name] != null ? options[name] : null);
+  return {
+    commandName,
+    customId,
+    locale,
+    guild,
+    member: { permissions: { has: () => true } },
+    user: { id: userId },
+    options: { getString: option, getBoolean: option, getInteger: option, getUser: option, getAttachment: option },
+    deferred: false,
+    replied: false,
+    replies: [],
+    isCommand: () => commandName != null,
+    isButton: () => customId != null,
+    async deferReply() { this.deferred = true; },
+    async reply(payload) { this.replied = true; this.replies.push(payload); },
+    async editReply(payload) { this.replies.push(payload); },
+    async followUp(payload) { this.replies.push(payload); },
+    async update(payload) { this.replies.push(payload); }
+  };
+}
+
+module.exports = { createFakeGuild, createFakeClient, createFakeInteraction };
@@ -0,0 +1,62 @@
+/**
+ * test/import.test.js — /import com pay_pending passa pelas mesmas regras anti-abuso dos joins
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot } = require('./helpers/bot');
+
+const INVITER = '200000000000000002';
+const BOT_INVITER = '900000000000000009';
+
+/** Run /import as an admin with `records` as the uploaded JSON file; returns the replies */
+async function runImport(t, records, payPending) {
+  const file = JSON.stringify(records);
+  const interaction = await t.interact({
+    commandName: 'import',
+    options: {
+      file: { name: 'records.json', size: file.length, url: `data:application/json,${encodeURIComponent(file)}` },
+      pay_pending: payPending
+    }
+  });
+  return interaction.replies;
+}
+
+test('imported pending records go through the anti-abuse rules', async () => {
+  const t = await createTestBot();
+  try {
+    const fetchUser = t.client.users.fetch;
+    t.client.users.fetch = async userId => (userId === BOT_INVITER ? { id: userId, bot: true } : fetchUser(userId));
+    await t.db.run(`INSERT INTO reward_blacklist (guild_id, user_id, created_by, created_at) VALUES (?, ?, 'admin-1', ?)`, [t.guild.id, '500000000000000005', Date.now()]);
+
+    const replies = await runImport(t, [
+      { joined_id: '100000000000000001', inviter_id: INVITER },
+      { joined_id: '300000000000000003', inviter_id: '300000000000000003' },
+      { joined_id: '400000000000000004', inviter_id: BOT_INVITER },
+      { joined_id: '500000000000000005', inviter_id: INVITER }
+    ], true);
+    assert.equal(replies.length, 1);
+
+    const rows = await t.db.all(`SELECT joined_id, status, reject_reason FROM invite_rewards WHERE guild_id = ? ORDER BY joined_id`, [t.guild.id]);
+    assert.deepEqual(rows.map(r => [r.status, r.reject_reason]), [
+      ['pending', null],
+      ['rejected', 'self_invite'],
+      ['rejected', 'inviter_bot'],
+      ['rejected', 'blacklisted']
+    ]);
+  } finally {
+    await t.close();
+  }
+});
+
+test('records imported as history only are not evaluated', async () => {
+  const t = await createTestBot();
+  try {
+    await runImport(t, [{ joined_id: '300000000000000003', inviter_id: '300000000000000003' }], false);
+    const row = await t.reward('300000000000000003');
+    assert.equal(row.status, 'imported');
+    assert.equal(row.reject_reason, null);
+  } finally {
+    await t.close();
+  }
+});
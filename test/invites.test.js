@@ -0,0 +1,113 @@
+/**
+ * test/invites.test.js — qual invite foi usado em cada entrada (diff dos usos)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot } = require('./helpers/bot');
+
+test('diffInviteUses lists the codes whose uses went up', async () => {
+  const t = await createTestBot();
+  try {
+    const { diffInviteUses } = t.bot;
+    const before = new Map([['a', 1], ['b', 4]]);
+    assert.deepEqual(diffInviteUses(before, new Map([['a', 2], ['b', 4]])), ['a']);
+    assert.deepEqual(diffInviteUses(before, new Map([['a', 1], ['b', 4]])), []);
+    // a code the bot never saw counts from zero
+    assert.deepEqual(diffInviteUses(before, new Map([['a', 1], ['b', 4], ['new', 1]])), ['new']);
+    assert.deepEqual(diffInviteUses(before, new Map([['a', 2], ['b', 5]])), ['a', 'b']);
+    // deleted invites and lower counts are ignored
+    assert.deepEqual(diffInviteUses(before, new Map([['b', 3]])), []);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a join through one invite is credited to its creator', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('abc', 'inviter-1', { uses: 3 });
+    t.guild.addInvite('other', 'inviter-2', { uses: 7 });
+    await t.sync();
+
+    await t.join('member-1', 'abc');
+    const row = await t.reward('member-1');
+    assert.equal(row.inviter_id, 'inviter-1');
+    assert.equal(row.invite_code, 'abc');
+    assert.equal(row.status, 'pending');
+    assert.equal(row.source, 'invite');
+
+    // the cache moved on: the next join through the other invite is not blamed on 'abc'
+    await t.join('member-2', 'other');
+    assert.equal((await t.reward('member-2')).inviter_id, 'inviter-2');
+  } finally {
+    await t.close();
+  }
+});
+
+test('two invites used between events leave the join unattributed with both candidates', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    t.guild.addInvite('b', 'inviter-2');
+    await t.sync();
+
+    // a join the bot did not see (event lost) followed by one it did
+    t.guild.join('member-1', 'a');
+    await t.join('member-2', 'b');
+
+    const row = await t.reward('member-2');
+    assert.equal(row.status, 'unattributed');
+    assert.equal(row.inviter_id, '(unknown)');
+    assert.equal(row.candidates, 'a,b');
+  } finally {
+    await t.close();
+  }
+});
+
+test('joins without an invite use are unattributed by source', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    t.guild.setVanity('cool-server', 10);
+    await t.sync();
+
+    await t.join('member-1', 'vanity');
+    const vanity = await t.reward('member-1');
+    assert.equal(vanity.status, 'unattributed');
+    assert.equal(vanity.source, 'vanity');
+    assert.equal(vanity.invite_code, 'cool-server');
+
+    await t.join('member-2', null);
+    const unknown = await t.reward('member-2');
+    assert.equal(unknown.status, 'unattributed');
+    assert.equal(unknown.source, 'unknown');
+  } finally {
+    await t.close();
+  }
+});
+
+test('self invites, bot invites and rejoins are recorded as rejected', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('mine', 'member-1');
+    t.guild.addInvite('bot-made', 'some-bot', { bot: true });
+    t.guild.addInvite('a', 'inviter-1');
+    await t.sync();
+
+    await t.join('member-1', 'mine');
+    assert.equal((await t.reward('member-1')).status, 'rejected');
+    assert.equal((await t.reward('member-1')).reject_reason, 'self_invite');
+
+    await t.join('member-2', 'bot-made');
+    assert.equal((await t.reward('member-2')).reject_reason, 'inviter_bot');
+
+    await t.join('member-3', 'a');
+    assert.equal((await t.reward('member-3')).status, 'pending');
+    await t.leave('member-3');
+    await t.join('member-3', 'a');
+    assert.equal((await t.reward('member-3')).reject_reason, 'rejoin');
+  } finally {
+    await t.close();
+  }
+});
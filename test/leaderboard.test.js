@@ -0,0 +1,67 @@
+/**
+ * test/leaderboard.test.js — /leaderboard: paginação pelos botões e datas do período custom
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot } = require('./helpers/bot');
+
+const JOINED_AT = Date.UTC(2024, 2, 10);
+
+/** One join for each of `count` inviters, on `joinedAt` */
+async function botWithInviters(count, joinedAt = JOINED_AT) {
+  const t = await createTestBot();
+  for (let i = 0; i < count; i++) {
+    await t.db.run(
+      `INSERT INTO invite_rewards (guild_id, invite_code, inviter_id, joined_id, joined_at, paid, status) VALUES (?, 'a', ?, ?, ?, 0, 'pending')`,
+      [t.guild.id, `inviter-${i}`, `member-${i}`, joinedAt]
+    );
+  }
+  return t;
+}
+
+const buttonIds = reply => reply.components[0].toJSON().components.map(b => b.custom_id);
+const footer = reply => reply.embeds[0].toJSON().footer.text;
+
+test('pagination buttons carry the normalised custom period to the next page', async () => {
+  const t = await botWithInviters(12);
+  try {
+    const command = await t.interact({ commandName: 'leaderboard', options: { period: 'custom', from: ' 2024-03-01 ', to: '2024-03-31' } });
+    const [first] = command.replies;
+    assert.match(footer(first), /1\/2/);
+    const next = buttonIds(first)[1];
+    assert.equal(next, 'lb:custom:joins:2024-03-01:2024-03-31:1');
+
+    const button = await t.interact({ customId: next });
+    const [second] = button.replies;
+    assert.match(footer(second), /2\/2/);
+    assert.equal(second.embeds[0].toJSON().description.split('\n').length, 2);
+    assert.equal(buttonIds(second)[0], 'lb:custom:joins:2024-03-01:2024-03-31:0');
+  } finally {
+    await t.close();
+  }
+});
+
+test('dates are left out of the buttons unless the period is custom', async () => {
+  const t = await botWithInviters(12, Date.now());
+  try {
+    const command = await t.interact({ commandName: 'leaderboard', options: { period: 'week', sort: 'coins', from: `2024-03-01:${'x'.repeat(120)}` } });
+    assert.deepEqual(buttonIds(command.replies[0]).slice(0, 2), ['lb:week:coins:::-1', 'lb:week:coins:::1']);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a custom period with bad dates is rejected before any button is built', async () => {
+  const t = await botWithInviters(12);
+  try {
+    for (const from of [`2024-03-01:${'x'.repeat(120)}`, '01/03/2024']) {
+      const command = await t.interact({ commandName: 'leaderboard', options: { period: 'custom', from } });
+      const [reply] = command.replies;
+      assert.equal(reply.ephemeral, true);
+      assert.equal(reply.components, undefined);
+    }
+  } finally {
+    await t.close();
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * test/member-left.test.js — membro que sai antes do pagamento não gera reward
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot } = require('./helpers/bot');
+
+test('leaving before the payout deletes the pending reward', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    await t.sync();
+    await t.join('member-1', 'a');
+    assert.equal((await t.reward('member-1')).status, 'pending');
+
+    await t.leave('member-1');
+    assert.equal(await t.reward('member-1'), undefined);
+
+    await t.bot.periodicCheck();
+    assert.equal(t.api.state.transfers.length, 0);
+  } finally {
+    await t.close();
+  }
+});
+
+test('the scheduler deletes the reward of a member who left unseen', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    await t.sync();
+    await t.join('member-1', 'a');
+    await t.join('member-2', 'a');
+
+    // no guildMemberRemove event (bot offline, missed event): only the member list knows
+    t.guild.leave('member-1');
+    await t.bot.periodicCheck();
+
+    assert.equal(await t.reward('member-1'), undefined);
+    assert.equal((await t.reward('member-2')).status, 'paid');
+    assert.deepEqual(t.api.state.transfers.map(tx => [tx.toId, tx.amount]), [['inviter-1', 0.5]]);
+  } finally {
+    await t.close();
+  }
+});
+
+test("leaving inside the clawback window debits the inviter's next payout", async () => {
+  const t = await createTestBot({ CLAWBACK_WINDOW_MS: String(60 * 60 * 1000), CLAWBACK_MODE: 'debit' });
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    await t.sync();
+    await t.join('member-1', 'a');
+    await t.bot.periodicCheck();
+    assert.equal((await t.reward('member-1')).status, 'paid');
+
+    await t.leave('member-1');
+    const row = await t.reward('member-1');
+    assert.equal(row.status, 'left');
+    assert.equal(row.clawback_tx, 'debit');
+    const debt = await t.db.get(`SELECT amount FROM inviter_debts WHERE guild_id = ? AND inviter_id = ?`, [t.guild.id, 'inviter-1']);
+    assert.equal(Number(debt.amount), 0.5);
+
+    // the debt comes out of the inviter's next payout
+    await t.join('member-2', 'a');
+    await t.join('member-3', 'a');
+    await t.bot.periodicCheck();
+    assert.deepEqual(t.api.state.transfers.map(tx => tx.amount), [0.5, 0.5]);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a crash while creating the batch keeps the debt and the pending rewards', async () => {
+  const t = await createTestBot({ CLAWBACK_WINDOW_MS: String(60 * 60 * 1000), CLAWBACK_MODE: 'debit' });
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    await t.sync();
+    await t.join('member-1', 'a');
+    await t.bot.periodicCheck();
+    await t.leave('member-1');
+    await t.join('member-2', 'a');
+    await t.join('member-3', 'a');
+
+    // the debt is taken, then the batch amount cannot be written
+    const original = t.db.run.bind(t.db);
+    t.db.run = async (sql, params) => {
+      if (/UPDATE payout_batches SET worth/.test(sql)) throw new Error('SQLITE_IOERR');
+      return original(sql, params);
+    };
+    await t.bot.periodicCheck();
+    t.db.run = original;
+
+    const debt = await t.db.get(`SELECT amount FROM inviter_debts WHERE guild_id = ? AND inviter_id = ?`, [t.guild.id, 'inviter-1']);
+    assert.equal(Number(debt.amount), 0.5);
+    assert.equal((await t.reward('member-2')).status, 'pending');
+    assert.equal((await t.db.get(`SELECT COUNT(*) as cnt FROM payout_batches WHERE status != 'paid'`)).cnt, 0);
+
+    await t.bot.periodicCheck();
+    assert.deepEqual(t.api.state.transfers.map(tx => tx.amount), [0.5, 0.5]);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a join recorded while the batch transaction is open survives its rollback', async () => {
+  const t = await createTestBot();
+  try {
+    t.guild.addInvite('a', 'inviter-1');
+    await t.sync();
+    await t.join('member-1', 'a');
+
+    // the batch transaction stops before its last write, which then fails
+    let reached;
+    const inTransaction = new Promise(resolve => { reached = resolve; });
+    let fail;
+    const failed = new Promise(resolve => { fail = resolve; });
+    const original = t.db.run.bind(t.db);
+    t.db.run = async (sql, params) => {
+      if (/UPDATE payout_batches SET worth/.test(sql)) {
+        reached();
+        await failed;
+        throw new Error('SQLITE_IOERR');
+      }
+      return original(sql, params);
+    };
+    const check = t.bot.periodicCheck();
+    await inTransaction;
+
+    // another member joins meanwhile (an event, outside the transaction)
+    const joining = t.join('member-2', 'a');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fail();
+    await check;
+    await joining;
+    t.db.run = original;
+
+    assert.equal((await t.reward('member-1')).status, 'pending');
+    const row = await t.reward('member-2');
+    assert.ok(row, 'the join was undone by the rollback');
+    assert.equal(row.status, 'pending');
+  } finally {
+    await t.close();
+  }
+});
@@ -0,0 +1,225 @@
+/**
+ * test/payments.test.js — pagamentos pela Coin API: falhas, retries e nunca pagar duas vezes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot } = require('./helpers/bot');
+
+async function botWithJoins(env, joins, options) {
+  const t = await createTestBot(env, options);
+  t.guild.addInvite('a', 'inviter-1');
+  t.guild.addInvite('b', 'inviter-2');
+  await t.sync();
+  for (const [memberId, code] of joins) await t.join(memberId, code);
+  return t;
+}
+
+test('eligible joins are paid in one transfer per inviter', async () => {
+  const t = await botWithJoins({}, [['m1', 'a'], ['m2', 'a'], ['m3', 'b']]);
+  try {
+    await t.bot.periodicCheck();
+
+    const transfers = t.api.state.transfers.map(tx => [tx.toId, tx.amount, tx.cardCode]).sort();
+    assert.deepEqual(transfers, [['inviter-1', 1, 'card-1'], ['inviter-2', 0.5, 'card-1']]);
+    for (const id of ['m1', 'm2', 'm3']) {
+      const row = await t.reward(id);
+      assert.equal(row.status, 'paid');
+      assert.equal(row.paid, 1);
+      assert.match(row.payment_tx, /^tx-\d$/);
+    }
+    // nothing left to pay
+    await t.bot.periodicCheck();
+    assert.equal(t.api.state.transfers.length, 2);
+  } finally {
+    await t.close();
+  }
+});
+
+test('joins are not paid before the minimum stay', async () => {
+  const t = await botWithJoins({ MIN_STAY_MS: String(60 * 60 * 1000) }, [['m1', 'a']]);
+  try {
+    await t.bot.periodicCheck();
+    assert.equal(t.api.state.requests, 0);
+    assert.equal((await t.reward('m1')).status, 'pending');
+  } finally {
+    await t.close();
+  }
+});
+
+test('a failed transfer is retried and gives up after PAYMENT_MAX_ATTEMPTS', async () => {
+  const t = await botWithJoins({}, [['m1', 'a']]);
+  try {
+    t.api.state.failures.push({ status: 500, body: { success: false, error: 'card locked' } });
+    await t.bot.periodicCheck();
+    let row = await t.reward('m1');
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempts, 1);
+    assert.match(row.last_error, /card locked/);
+
+    // a 2xx answer that is not a success is a failure too
+    t.api.state.failures.push({ status: 200, body: { success: false, error: 'unknown user' } });
+    t.api.state.failures.push({ status: 503, body: { error: 'maintenance' } });
+    await t.bot.periodicCheck();
+    await t.bot.periodicCheck();
+    row = await t.reward('m1');
+    assert.equal(row.status, 'failed');
+    assert.equal(row.attempts, 3);
+    assert.match(row.last_error, /maintenance/);
+
+    // failed rows wait for an admin (/invite-admin retry)
+    await t.bot.periodicCheck();
+    assert.equal(t.api.state.requests, 3);
+    assert.equal(t.api.state.transfers.length, 0);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a rate limited transfer waits without spending an attempt', async () => {
+  const t = await botWithJoins({}, [['m1', 'a']]);
+  try {
+    t.api.state.failures.push({ status: 429, body: { error: 'slow down' }, headers: { 'Retry-After': '0' } });
+    await t.bot.periodicCheck();
+    const row = await t.reward('m1');
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempts, 0);
+
+    await t.bot.periodicCheck();
+    assert.equal((await t.reward('m1')).status, 'paid');
+  } finally {
+    await t.close();
+  }
+});
+
+test('a transfer whose response was lost is retried with the same key and paid once', async () => {
+  const t = await botWithJoins({}, [['m1', 'a']]);
+  try {
+    // the API moved the coins but the bot only saw an error
+    t.api.state.failures.push({ status: 502, body: { error: 'bad gateway' }, applied: true });
+    await t.bot.periodicCheck();
+    assert.equal((await t.reward('m1')).status, 'pending');
+
+    await t.bot.periodicCheck();
+    const row = await t.reward('m1');
+    assert.equal(row.status, 'paid');
+    assert.equal(t.api.state.requests, 2);
+    assert.equal(t.api.state.transfers.length, 1);
+    assert.equal(row.payment_tx, t.api.state.transfers[0].txId);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a payment interrupted by a crash is resumed with the same key on start', async () => {
+  const t = await botWithJoins({}, [['m1', 'a']]);
+  try {
+    // crash between the transfer and the DB write: the batch is still 'processing'
+    t.api.state.failures.push({ status: 500, applied: true });
+    const original = t.db.run.bind(t.db);
+    t.db.run = async (sql, params) => {
+      if (/UPDATE payout_batches SET status = 'pending'/.test(sql)) throw new Error('SQLITE_IOERR');
+      return original(sql, params);
+    };
+    await t.bot.periodicCheck();
+    t.db.run = original;
+    assert.equal((await t.reward('m1')).status, 'processing');
+    assert.equal(t.api.state.transfers.length, 1);
+
+    // what start() does before the first pass
+    await t.bot.recoverStuckPayments(Date.now());
+    await t.bot.periodicCheck();
+
+    assert.equal((await t.reward('m1')).status, 'paid');
+    assert.equal(t.api.state.transfers.length, 1);
+    const keys = new Set(Array.from(t.api.state.byKey.keys()));
+    assert.equal(keys.size, 1);
+  } finally {
+    await t.close();
+  }
+});
+
+test('overlapping scheduler passes never pay the same join twice', async () => {
+  const t = await botWithJoins({}, [['m1', 'a'], ['m2', 'b']]);
+  try {
+    await Promise.all([t.bot.periodicCheck(), t.bot.periodicCheck(), t.bot.periodicCheck()]);
+    await t.bot.periodicCheck();
+    assert.equal(t.api.state.requests, 2);
+    assert.equal(t.api.state.transfers.length, 2);
+    assert.equal((await t.reward('m1')).status, 'paid');
+    assert.equal((await t.reward('m2')).status, 'paid');
+  } finally {
+    await t.close();
+  }
+});
+
+test('payouts pause while the card balance does not cover them', async () => {
+  const t = await botWithJoins({}, [['m1', 'a'], ['m2', 'a'], ['m3', 'a']], { balance: 1 });
+  try {
+    await t.bot.periodicCheck();
+    // only what the balance covers is batched, the rest stays pending
+    assert.deepEqual(t.api.state.transfers.map(tx => tx.amount), [1]);
+    const statuses = await Promise.all(['m1', 'm2', 'm3'].map(async id => (await t.reward(id)).status));
+    assert.deepEqual(statuses.sort(), ['paid', 'paid', 'pending']);
+
+    t.api.state.balance = 10;
+    await t.bot.periodicCheck();
+    assert.equal((await t.reward('m3')).status, 'paid');
+  } finally {
+    await t.close();
+  }
+});
+
+/** Tier of 2 coins reached with the first paid invite, and its bonus row */
+async function addBonusTier(t) {
+  await t.db.run(`INSERT INTO milestone_tiers (guild_id, threshold, bonus, created_at) VALUES (?, 1, '2', ?)`, [t.guild.id, Date.now()]);
+  return () => t.db.get(`SELECT * FROM milestone_bonuses WHERE guild_id = ? AND inviter_id = ?`, [t.guild.id, 'inviter-1']);
+}
+
+test('a failed milestone bonus is retried by the scheduler after its backoff', async () => {
+  const t = await botWithJoins({ PAYMENT_RETRY_BASE_MS: String(60 * 1000) }, [['m1', 'a']]);
+  try {
+    const bonus = await addBonusTier(t);
+    // the payout goes through, the bonus transfer fails
+    t.api.state.failures.push(null, { status: 500, body: { success: false, error: 'card locked' } });
+    await t.bot.periodicCheck();
+    assert.equal((await bonus()).status, 'failed');
+
+    // still inside the backoff
+    await t.bot.periodicCheck();
+    assert.equal(t.api.state.requests, 2);
+
+    await t.db.run(`UPDATE milestone_bonuses SET next_attempt_at = 0`);
+    await t.bot.periodicCheck();
+    assert.equal((await bonus()).status, 'paid');
+    assert.deepEqual(t.api.state.transfers.map(tx => tx.amount), [0.5, 2]);
+  } finally {
+    await t.close();
+  }
+});
+
+test('a milestone bonus interrupted by a crash is resumed with the same key on start', async () => {
+  const t = await botWithJoins({}, [['m1', 'a']]);
+  try {
+    const bonus = await addBonusTier(t);
+    // the bonus transfer goes through but neither the answer nor the failure is recorded
+    t.api.state.failures.push(null, { status: 500, applied: true });
+    const original = t.db.run.bind(t.db);
+    t.db.run = async (sql, params) => {
+      if (/UPDATE milestone_bonuses SET status = 'failed'/.test(sql)) throw new Error('SQLITE_IOERR');
+      return original(sql, params);
+    };
+    await t.bot.periodicCheck();
+    t.db.run = original;
+    assert.equal((await bonus()).status, 'processing');
+
+    // what start() does before the first pass
+    await t.bot.recoverStuckPayments(Date.now());
+    await t.bot.periodicCheck();
+
+    assert.equal((await bonus()).status, 'paid');
+    assert.deepEqual(t.api.state.transfers.map(tx => tx.amount), [0.5, 2]);
+  } finally {
+    await t.close();
+  }
+});